@@ -2,93 +2,740 @@
  * qyaml -- quick and small yaml for simple javascript use cases
  *
  * Convert javascript objects to/from yaml notation.  Understands numbers, booleans,
- * null, barewords, quoted strings.  It can convert "normal" objects and arrays, but
- * Does not handle all possible edge cases (eg arrays with properties).  Encoding is
- * similar to JSON.stringify, undefined properties are omitted.
+ * null, barewords, quoted strings, block scalars, flow collections and multi-document
+ * streams.  It can convert "normal" objects and arrays, but Does not handle all
+ * possible edge cases (eg arrays with properties).  Encoding is similar to
+ * JSON.stringify, undefined properties are omitted and toJSON and replacers are
+ * honored; decoding takes a JSON.parse style reviver.
  *
  * Notes:
  *   - empty element is parsed as {}, a zero-length object (should be null?)
  *   - undefined properties are skipped, but undefined array elements are encoded
- *   - property names must not contain colons
+ *   - unquoted property names must not contain colon-space, use quotes or "? name"
  *
  * 2018-12-10 - AR.
  */
 
 'use strict';
 
+var fs = require('fs');
+var path = require('path');
 var util = require('util');
+var Transform = require('stream').Transform;
+var Duplex = require('stream').Duplex;
+var StringDecoder = require('string_decoder').StringDecoder;
 
 var singleton = new Qyaml();
 module.exports = singleton.defaults();
 module.exports.Qyaml = Qyaml;
+module.exports.YamlDocument = YamlDocument;
+module.exports.StreamDecoder = StreamDecoder;
+module.exports.StreamEncoder = StreamEncoder;
+module.exports.QyamlError = QyamlError;
 
 function Qyaml( options ) {
     options = options || {};
     this._options = options;
 
     this.INDENT = options.indent || 2;          // indentation increment to use in output
+    this.FLOW = !!options.flow;                 // emit short lists and hashes of scalars as [...] and {...}
+    this.FLOW_WIDTH = options.flowWidth || options.lineWidth || 80;  // longest line that may contain a flow collection
+    this.QUOTE_STYLE = options.quoteStyle || 'double';  // 'single' to prefer 'single-quoted' strings, 'minimal' or 'always' to quote
+    if (!/^(double|single|minimal|always)$/.test(this.QUOTE_STYLE)) throw new Error('qyaml: unknown quoteStyle "' + this.QUOTE_STYLE + '"');
+    this.SORT_KEYS = options.sortKeys || false; // true or a comparator function to sort hash property names
+    this.LINE_WIDTH = options.lineWidth || 0;   // fold longer strings into ">-" block scalars, if set
+    this.FLOW_LEVEL = options.flowLevel || 0;   // emit lists and hashes nested this deep or deeper in flow style, if set
+    this.DOCUMENT_MARKERS = !!options.documentMarkers;  // start each document with "---" and end it with "..."
+    this.EOL = options.eol || '\n';             // line terminator to write, '\n' or '\r\n'
+    if (this.EOL !== '\n' && this.EOL !== '\r\n') throw new Error('qyaml: eol must be "\\n" or "\\r\\n"');
+    this.CANONICAL = !!options.canonical;       // byte-stable output, the same for equal values whatever the style options
+    if (this.CANONICAL) {
+        this.INDENT = 2;
+        this.FLOW = false;
+        this.QUOTE_STYLE = 'double';
+        this.SORT_KEYS = true;
+        this.LINE_WIDTH = this.FLOW_LEVEL = 0;
+        this.DOCUMENT_MARKERS = true;
+        this.EOL = '\n';
+    }
+    this.ANCHORS = !!options.anchors;           // emit &anchors and *aliases for repeated objects
+    this.COPY_ALIASES = !!options.copyAliases;  // decode *aliases as copies, not shared references
+    this.MAX_ALIAS_EXPANSION = options.maxAliasExpansion || 100000;  // limit on values referenced by aliases
+    this.MAX_DEPTH = options.maxDepth || 1000;  // limit on the nesting of lists and hashes
+    this.MAX_DOCUMENT_SIZE = options.maxDocumentSize || Infinity;  // limit on the characters of yaml text in a document
+    this.MAX_KEYS = options.maxKeys || Infinity;  // limit on the properties of a hash
+    this.MAX_STRING_LENGTH = options.maxStringLength || Infinity;  // limit on the length of strings and property names
+    this.DUPLICATE_KEYS = options.duplicateKeys || 'last-wins';  // 'error', 'warn', 'last-wins' or 'first-wins'
+    if (!/^(error|warn|last-wins|first-wins)$/.test(this.DUPLICATE_KEYS)) throw new Error('qyaml: unknown duplicateKeys "' + this.DUPLICATE_KEYS + '"');
+    this.WARN = options.onWarning || emitWarning;  // called with the QyamlError of each warning
+    this.MAPS = !!options.maps;                 // decode hashes into Maps, with plain keys resolved per the schema
+    this.SCHEMA = options.schema || 'qyaml';    // rules for converting plain scalars to values
+    this.BIGINT = !!options.bigint;             // decode integers too large for numbers as BigInts, encode BigInts as integers
+    if (this.BIGINT && typeof BigInt !== 'function') throw new Error('qyaml: bigint needs BigInt support');
+    this.NUMBER_TEXT = options.numberText || null;  // paths of the values whose plain numbers decode as their text
+    if (this.NUMBER_TEXT && !Array.isArray(this.NUMBER_TEXT)) throw new Error('qyaml: numberText must be a list of paths');
+    this.ENV = options.env || null;             // variables to substitute for ${VAR} and !env, if any
+    this.INCLUDE_DIR = options.includeDir || null;  // directory of relative !include files, if allowed
+    this.INCLUDE_ROOT = options.includeRoot || this.INCLUDE_DIR;  // directory that !include files must be in
+    this._resolve = schemaResolver(this.SCHEMA);
+    if (!this._resolve) throw new Error('qyaml: unknown schema "' + this.SCHEMA + '"');
+    if (this.BIGINT) this._resolve = bigintResolver(this._resolve, this.SCHEMA);
+    this._numberText = this.NUMBER_TEXT && this.NUMBER_TEXT.map(parsePath);
+    this._types = (options.types || []).concat(makeBuiltinTypes());
+    this._tags = {};
+    for (var i = this._types.length - 1; i >= 0; i--) this._tags[normalizeTag(checkType(this._types[i]).tag)] = this._types[i];
     this.lineNumber = null;
+    this.documentNumber = 0;
+    this._markerValue = '';
+    this._anchors = null;
+    this._pendingAnchor = null;
+    this._aliasExpansion = 0;
+    this._refs = null;
+    this._anchorNames = null;
     this._indentstr = new Array(this.INDENT + 1).join(' ');
     this._depth = 0;
+    this._nesting = 0;          // the lists and hashes being decoded
+    this._contentLine = 0;      // last line that held yaml content, not just space or comments
+    this._valueLine = 0;        // first line of the multi-line quoted string or flow collection being decoded
+    this._locations = null;     // where each value is in the source, by JSON pointer, if tracking
+    this._path = this._numberText ? new Array() : null;  // the path to the value being decoded, if tracking
+    this._locationStack = null;
+    this._sourceLine = null;
+    this._source = null;        // the yaml being decoded, to quote in errors
+    this._sourceOffset = 0;     // the stream line number of the line before the source
+    this._includes = new Array();   // the files being included, to detect include cycles
+    this._flowValues = null;    // the lists and hashes decoded from flow collections, if formatting
 
     this.defaults = defaults;
 }
 
+// named sets of options for defaults()
+var presets = {
+    // limits for decoding untrusted yaml, eg uploaded by users
+    safe: {
+        maxDepth: 100,
+        maxDocumentSize: 1000000,
+        maxKeys: 10000,
+        maxStringLength: 100000,
+        maxAliasExpansion: 10000,
+        duplicateKeys: 'error',
+        env: null,
+        includeDir: null,
+        includeRoot: null,
+    },
+};
+
 function defaults( options ) {
+    if (typeof options === 'string') {
+        if (!hasOwn(presets, options)) throw new Error('qyaml: unknown preset "' + options + '"');
+        options = presets[options];
+    }
+    // types are added to the inherited types, and take precedence over them
+    var types = options && options.types && this._options.types ? options.types.concat(this._options.types) : null;
     options = objectAssign({}, this._options, options || {});
+    if (types) options.types = types;
     var coder = new Qyaml(options);
     return {
-        decode: function(str) { return coder.decode(str) },
-        encode: function(obj) { return coder.encode(obj) },
+        decode: function(str, options) { return coder.decode(str, options) },
+        encode: function(obj, replacer) { return coder.encode(obj, replacer) },
+        decodeAll: function(str, options) { return coder.decodeAll(str, options) },
+        decodeWithLocations: function(str) { return coder.decodeWithLocations(str) },
+        encodeAll: function(docs, replacer) { return coder.encodeAll(docs, replacer) },
+        format: function(str) { return coder.format(str) },
+        parseDocument: function(str) { return coder.parseDocument(str) },
+        createDecoder: function(options) { return coder.createDecoder(options) },
+        createDecodeStream: function(options) { return coder.createDecodeStream(options) },
+        createEncodeStream: function(options) { return coder.createEncodeStream(options) },
+        encodeToStream: function(obj, stream, options, cb) { return coder.encodeToStream(obj, stream, options, cb) },
+        validate: function(input, schema, options) { return coder.validate(input, schema, options) },
+        loadConfig: function(layers, options) { return coder.loadConfig(layers, options) },
+        get: function(input, path) { return coder.get(input, path) },
+        set: function(input, path, value) { return coder.set(input, path, value) },
+        delete: function(input, path) { return coder.delete(input, path) },
+        query: function(input, expr, options) { return coder.query(input, expr, options) },
+        applyPatch: function(input, patch) { return coder.applyPatch(input, patch) },
+        mergePatch: function(input, patch) { return coder.mergePatch(input, patch) },
+        diff: function(a, b, options) { return coder.diff(a, b, options) },
         defaults: function(options) { return coder.defaults(options) },
         _instance: coder,
     };
 }
 Qyaml.prototype.defaults = defaults;
 
-Qyaml.prototype.decode = function decode( str ) {
+// the options are a reviver function, or an object with properties reviver, recover and errors
+Qyaml.prototype.decode = function decode( str, options ) {
+    var docs = this.decodeWithOptions(str, 1, options);
+    var value = docs.length ? docs[0] : this.MAPS ? new Map() : {};
+    var reviver = typeof options === 'function' ? options : options && options.reviver;
+    return typeof reviver === 'function' ? reviveValues({ '': value }, '', reviver, new Array(), makeRefMap()) : value;
+}
+
+Qyaml.prototype.decodeAll = function decodeAll( str, options ) {
+    var docs = this.decodeWithOptions(str, Infinity, options);
+    var reviver = typeof options === 'function' ? options : options && options.reviver;
+    if (typeof reviver === 'function') {
+        for (var i = 0; i < docs.length; i++) docs[i] = reviveValues({ '': docs[i] }, '', reviver, new Array(), makeRefMap());
+    }
+    return docs;
+}
+
+// decode the documents, and with the recover option also the documents that contain errors
+// In recovery mode the errors are appended to options.errors in line order, and the lines with
+// errors are skipped to decode a best-effort value.  An error in a multi-line quoted string or
+// flow collection skips all of its lines.  Errors not on a line of yaml cannot be recovered from,
+// nor can exceeding the depth, size, property or string length limits.
+Qyaml.prototype.decodeWithOptions = function decodeWithOptions( str, limit, options ) {
+    if (!options || !options.recover) return this.decodeDocuments(str, limit);
+    var lines = normalizeLineBreaks(str).split('\n'), errors = options.errors = options.errors || new Array();
+    var found = new Array();
+    try {
+        for (;;) {
+            try {
+                return this.decodeDocuments(lines.join('\n'), limit);
+            }
+            catch (err) {
+                if (!(err instanceof QyamlError) || !err.line || !/\S/.test(lines[err.line - 1] || '')) throw err;
+                if (/^(DEPTH|SIZE|KEY|STRING)_LIMIT$/.test(err.code)) throw err;
+                found.push(err);
+                if (err.code === 'MULTIPLE_DOCUMENTS') return this.decodeDocuments(lines.slice(0, err.line - 1).join('\n'), limit);
+                // blank the lines, to keep the line numbers of the errors after them
+                var start = this._valueLine && this._valueLine <= err.line ? this._valueLine : err.line;
+                var end = this._valueLine ? skipContinuation(lines, start, err.line) : err.line;
+                for (var i = start; i <= end; i++) lines[i - 1] = '';
+            }
+        }
+    }
+    finally {
+        found.sort(function(a, b) { return a.line - b.line });
+        for (var j = 0; j < found.length; j++) errors.push(found[j]);
+    }
+}
+
+// the last line of the multi-line value that starts on the start line, which is at least the line
+// of the error, and also includes the lines after it indented more than the start line
+function skipContinuation( lines, start, errorLine ) {
+    var indent = lines[start - 1].search(/\S/), end = errorLine;
+    while (end < lines.length && (!/\S/.test(lines[end]) || lines[end].search(/\S/) > indent) && !isDocumentMarker(lines[end])) end++;
+    // trailing blank lines are not part of the value
+    while (end > errorLine && !/\S/.test(lines[end - 1])) end--;
+    return end;
+}
+
+// decode the yaml string, and also return where each value is in the source
+Qyaml.prototype.decodeWithLocations = function decodeWithLocations( str ) {
+    var located = this.decodeLocated(str), lines = normalizeLineBreaks(str).split('\n'), locations = {};
+    for (var pointer in located.nodes) locations[pointer] = this.sourceLocation(located.nodes[pointer], lines);
+    return { value: located.value, locations: locations };
+}
+
+// decode the yaml string while noting where each list element and hash property is in it
+Qyaml.prototype.decodeLocated = function decodeLocated( str ) {
+    var value, nodes;
+    this._locations = {};
+    this._path = new Array();
+    this._locationStack = new Array();
+    try {
+        value = this.decode(str);
+        nodes = this._locations;
+        nodes[''] = this.rootLocation(normalizeLineBreaks(str).split('\n'), this._contentLine);
+    }
+    finally {
+        this._locations = this._locationStack = this._sourceLine = null;
+        this._path = this._numberText ? new Array() : null;
+    }
+    return { value: value, nodes: nodes };
+}
+
+// decode the documents in the yaml stream, but no more than limit
+Qyaml.prototype.decodeDocuments = function decodeDocuments( str, limit ) {
     // since all calls are synchronous, keep call state in the singleton
-    var lines = String(str).split('\n');
+    str = normalizeLineBreaks(str);
+    var lines = str.split('\n');
     this.lineNumber = 0;
+    this.documentNumber = 0;
+    this._contentLine = 0;
+    this._valueLine = 0;
+    this._nesting = 0;
+    this._source = str;
+    // the newline terminating the last line does not start another line
+    if (lines[lines.length - 1] === '') lines.pop();
+    lines = new LineQueue(lines);
 
-    var decoded = this.decodeLines(lines, 0, 0);
-    if (!lines.length) return decoded;
+    var docs = new Array();
+    try {
+        while (this.startDocument(lines)) {
+            if (docs.length >= limit) throw this.makeError(this.lineNumber, 'expected a single document but found more, use decodeAll');
+            if (this.MAX_DOCUMENT_SIZE < Infinity) this.checkDocumentSize(lines);
+            docs.push(this.decodeDocument(lines));
+        }
+    }
+    finally {
+        this.documentNumber = 0;
+        this._source = null;
+    }
+    return docs;
+}
 
-    throw this.makeError(this.lineNumber, 'unexpected trailing lines');
+// skip to the start of the next document, and return false if there are no more
+// Documents can start with a "---" marker, and can be preceded by %directives.
+// The text following the marker, if any, is saved as the document value.
+Qyaml.prototype.startDocument = function startDocument( lines ) {
+    var line, explicitStart = false;
+    this._markerValue = '';
+    while (lines.length > 0) {
+        line = lines.peek(0);
+        if (isDocumentMarker(line) && line[0] === '-') {
+            this._markerValue = this.stripComment(line.slice(3));
+            explicitStart = true;
+            lines.shift();
+            this.lineNumber += 1;
+            if (this._markerValue) this._contentLine = this.lineNumber;
+            if (this._locations) this._sourceLine = line;
+            break;
+        }
+        // skip blank lines, comments, directives and stray document end markers
+        if (/^\s*(#.*)?$/.test(line) || line[0] === '%' || isDocumentMarker(line)) {
+            lines.shift();
+            this.lineNumber += 1;
+            continue;
+        }
+        break;
+    }
+    if (!lines.length && !explicitStart) return false;
+    this.documentNumber += 1;
+    // anchors are local to their document
+    this._anchors = Object.create(null);
+    this._aliasExpansion = 0;
+    return true;
 }
 
-Qyaml.prototype.encode = function encode( obj ) {
-    this._depth = 0;
+// the text of the document up to the next document marker must not be longer than maxDocumentSize
+Qyaml.prototype.checkDocumentSize = function checkDocumentSize( lines ) {
+    for (var size = this._markerValue.length, i = 0; i < lines.length && !isDocumentMarker(lines.peek(i)); i++) {
+        size += lines.peek(i).length + 1;
+        if (size > this.MAX_DOCUMENT_SIZE) throw this.makeError(this.lineNumber + i + 1, 'document size limit of %d exceeded', this.MAX_DOCUMENT_SIZE);
+    }
+}
+
+// decode the document contents up to the next document marker
+Qyaml.prototype.decodeDocument = function decodeDocument( lines ) {
+    if (this._path) this._path.length = 0;
+    var value = this._markerValue
+        ? this.extractValue(this._markerValue, lines, 0, this.lineNumber)
+        : this.decodeLines(lines, 0, 0);
+    this.endDocument(lines);
+    return value;
+}
+
+// the value may be followed by blank lines and comments, and the document by an end marker
+Qyaml.prototype.endDocument = function endDocument( lines ) {
+    while (lines.length && /^\s*(#.*)?$/.test(lines.peek(0))) {
+        lines.shift();
+        this.lineNumber += 1;
+    }
+    if (lines.length && !isDocumentMarker(lines.peek(0))) throw this.makeError(this.lineNumber + 1, 'unexpected trailing lines');
+    if (lines.length && lines.peek(0)[0] === '.') {
+        lines.shift();
+        this.lineNumber += 1;
+    }
+}
+
+// return an incremental decoder that is written the yaml a chunk at a time
+Qyaml.prototype.createDecoder = function createDecoder( options ) {
+    return new StreamDecoder(this, options);
+}
+
+// return a transform stream that is written yaml text and reads as decoded { value, document, line } records
+Qyaml.prototype.createDecodeStream = function createDecodeStream( options ) {
+    var decoder = new StreamDecoder(this, options), utf8 = new StringDecoder('utf8');
+    var stream = new Transform({ objectMode: true });
+    function pushValues( stream, values ) { for (var i = 0; i < values.length; i++) stream.push(values[i]) }
+    stream._transform = function(chunk, encoding, cb) {
+        try { pushValues(this, decoder.write(typeof chunk === 'string' ? chunk : utf8.write(chunk))) }
+        catch (err) { return cb(err) }
+        cb();
+    }
+    stream._flush = function(cb) {
+        try { pushValues(this, decoder.end(utf8.end())) }
+        catch (err) { return cb(err) }
+        cb();
+    }
+    return stream;
+}
+
+// return a stream that is written values and reads as their yaml text, a list element or document for each value
+Qyaml.prototype.createEncodeStream = function createEncodeStream( options ) {
+    var encoder = new StreamEncoder(this, options), pending = null;
+    var stream = new Duplex({ objectMode: true });
+    // the next value is accepted once the text of the current one has all been read
+    function produce( stream ) {
+        var text, error, cb;
+        try {
+            while (pending && (text = encoder.read()) !== null) if (!stream.push(text)) return;
+        }
+        catch (err) {
+            error = err;
+            encoder.reset();
+        }
+        if (pending) { cb = pending; pending = null; cb(error) }
+    }
+    stream._write = function(value, encoding, cb) {
+        try { encoder.start(value) }
+        catch (err) { return cb(err) }
+        pending = cb;
+        produce(this);
+    }
+    stream._read = function() {
+        produce(this);
+    }
+    stream.on('finish', function() {
+        var text = encoder.end();
+        if (text) this.push(text);
+        this.push(null);
+    });
+    return stream;
+}
+
+// write the yaml text of the value to the writable stream, waiting for it to drain when full
+// The value can also be an async iterable, whose items are each encoded as a list element or
+// document.  The stream is not ended.  Calls cb when done, else returns a promise.
+Qyaml.prototype.encodeToStream = function encodeToStream( obj, stream, options, cb ) {
+    if (typeof options === 'function') { cb = options; options = null }
+    if (!cb && typeof Promise === 'function') {
+        var self = this;
+        return new Promise(function(resolve, reject) {
+            self.encodeToStream(obj, stream, options, function(err) { err ? reject(err) : resolve() });
+        });
+    }
+    var iterable = typeof Symbol === 'function' && Symbol.asyncIterator && obj && obj[Symbol.asyncIterator];
+    var encoder = new StreamEncoder(this, objectAssign({ documents: !iterable }, options));
+    var iterator = iterable ? obj[Symbol.asyncIterator]() : null, started = false, done = false;
+    stream.on('error', finish);
+
+    function finish( err ) {
+        if (done) return;
+        done = true;
+        stream.removeListener('error', finish);
+        stream.removeListener('drain', writeText);
+        if (err) encoder.reset();
+        cb(err);
+    }
+    function writeText( ) {
+        var text;
+        try {
+            while ((text = encoder.read()) !== null) if (!stream.write(text)) return stream.once('drain', writeText);
+        }
+        catch (err) { return finish(err) }
+        nextValue();
+    }
+    function encodeValue( value ) {
+        try { encoder.start(value) }
+        catch (err) { return finish(err) }
+        writeText();
+    }
+    function nextValue( ) {
+        if (done) return;
+        if (!iterator) return started ? finish() : (started = true, encodeValue(obj));
+        iterator.next().then(function(item) {
+            if (!item.done) return encodeValue(item.value);
+            var text = encoder.end();
+            if (text) stream.write(text);
+            finish();
+        }, finish);
+    }
+    nextValue();
+}
+
+// check the value, or the yaml string once decoded, against the JSON Schema
+// Returns { valid, errors, value }, with a QyamlError for each violation, located in the yaml if
+// decoded from a string.  With the defaults option missing properties are set to their defaults.
+Qyaml.prototype.validate = function validate( input, schema, options ) {
+    var located = typeof input === 'string' ? this.decodeWithLocations(input) : { value: input, locations: null };
+    var validator = new SchemaValidator(this, schema, located.locations, options);
+    this._source = typeof input === 'string' ? normalizeLineBreaks(input) : null;
+    try {
+        validator.check(located.value, schema, new Array());
+    }
+    finally {
+        this._source = null;
+    }
+    return { valid: !validator.errors.length, errors: validator.errors, value: located.value };
+}
+
+// decode the layers of a configuration, each a file name or a { name, yaml } object, and
+// deep-merge each layer into the layers before it.  Returns { value, sources }, with the
+// file and line that each value in the result came from, by JSON pointer.
+Qyaml.prototype.loadConfig = function loadConfig( layers, options ) {
+    var loader = new ConfigLoader(this, options || {});
+    for (var i = 0; i < layers.length; i++) loader.addLayer(layers[i], i);
+    return { value: loader.value === undefined ? {} : loader.value, sources: loader.sources };
+}
+
+// the value at the path in the value, the decoded yaml string, or the YamlDocument
+// Paths are arrays, dotted strings with optional [index] and ["name"] brackets, or JSON pointers.
+Qyaml.prototype.get = function get( input, path ) {
+    if (input instanceof YamlDocument) return input.get(path);
+    return getPath(this.decodeInput(input), parsePath(path));
+}
+
+// set the value at the path, creating hashes along the path as needed, and return the changed
+// value, or the YamlDocument with its text edited
+Qyaml.prototype.set = function set( input, path, value ) {
+    if (input instanceof YamlDocument) return input.set(path, value);
+    return setPath(this.decodeInput(input), parsePath(path), value);
+}
+
+// remove the value at the path, if found, and return the changed value or YamlDocument
+Qyaml.prototype.delete = function remove( input, path ) {
+    if (input instanceof YamlDocument) return (input.delete(path), input);
+    var value = this.decodeInput(input);
+    path = parsePath(path);
+    return (path.length && hasPath(value, path)) ? deleteValue(value, path) : value;
+}
+
+// return the values matched by the JSONPath expression, or with the paths option { path, value }
+// objects with the JSON pointers of the values
+Qyaml.prototype.query = function query( input, expr, options ) {
+    var matches = new JsonPath(expr).run(input instanceof YamlDocument ? input.value : this.decodeInput(input));
+    return matches.map(function(match) { return (options && options.paths) ? { path: jsonPointer(match.path), value: match.value } : match.value });
+}
+
+// apply the RFC 6902 JSON Patch, a list of add, remove, replace, move, copy and test operations
+// Either all operations are applied or none:  a value is patched as a copy and the copy returned,
+// a YamlDocument has its text edited and is restored if an operation fails.
+Qyaml.prototype.applyPatch = function applyPatch( input, patch ) {
+    var editor = new PatchEditor(input instanceof YamlDocument ? input : deepCopy(this.decodeInput(input), makeRefMap()));
+    if (!Array.isArray(patch)) throw new Error('qyaml: patch must be a list of operations');
+    if (editor.doc) return editor.doc.edit(function() { for (var i = 0; i < patch.length; i++) editor.apply(patch[i], i) });
+    for (var i = 0; i < patch.length; i++) editor.apply(patch[i], i);
+    return editor.value;
+}
+
+// apply the RFC 7386 JSON merge patch:  hashes are merged, null deletes, other values replace
+// A value is patched as a copy, a YamlDocument has just the changed values edited.
+Qyaml.prototype.mergePatch = function mergePatch( input, patch ) {
+    if (input instanceof YamlDocument) return input.edit(function() { mergeIntoDocument(input, new Array(), patch) });
+    return mergeValues(deepCopy(this.decodeInput(input), makeRefMap()), patch);
+}
+
+// compare the two yaml strings, values or YamlDocuments, and return the list of changes, or
+// with the format option the 'text' of a yaml-shaped diff or the JSON 'patch' from a to b
+Qyaml.prototype.diff = function diff( a, b, options ) {
+    var format = options && options.format || 'changes';
+    if (['changes', 'text', 'patch'].indexOf(format) < 0) throw new Error('qyaml: unknown diff format "' + format + '"');
+    var differ = new YamlDiff(this, this.diffSide(a), this.diffSide(b), format === 'patch');
+    differ.compare(differ.from.value, differ.to.value, new Array());
+    if (format === 'text') return differ.format();
+    if (format === 'patch') return differ.changes.map(function(change) {
+        return change.op === 'remove' ? { op: 'remove', path: change.path } : { op: change.op === 'add' ? 'add' : 'replace', path: change.path, value: change.newValue };
+    });
+    return differ.changes;
+}
+
+// the decoded value to diff, and a function to find the line number of a value by its JSON pointer
+Qyaml.prototype.diffSide = function diffSide( input ) {
+    var located = typeof input === 'string' ? this.decodeWithLocations(input) : { value: input instanceof YamlDocument ? input.value : input, locations: null };
+    return {
+        value: located.value,
+        lineOf: function(pointer) {
+            var location = located.locations ? located.locations[pointer] : input instanceof YamlDocument ? input.getLocation(pointer) : null;
+            return location ? (location.key || location.value).line : undefined;
+        },
+    };
+}
+
+// the value to edit or query, decoded if a yaml string
+Qyaml.prototype.decodeInput = function decodeInput( input ) {
+    return typeof input === 'string' ? this.decode(input) : input;
+}
+
+// parse the yaml string into a document that can be edited without losing comments and formatting
+Qyaml.prototype.parseDocument = function parseDocument( str ) {
+    // documents are edited as objects, not as Maps, and with \n line breaks
+    var coder = this.MAPS || this.EOL !== '\n' ? new Qyaml(objectAssign({}, this._options, { maps: false, eol: '\n' })) : this;
+    return new YamlDocument(coder, str);
+}
+
+Qyaml.prototype.encode = function encode( obj, replacer ) {
     var lines = new Array();
+    obj = this.startEncoding(lines, obj, replacer, true);
     this.encodeLines(lines, '', obj);
-    return lines.join('\n') + '\n';
+    if (this.DOCUMENT_MARKERS) lines.push('...');
+    this._refs = this._anchorNames = null;
+    var text = lines.join(this.EOL) + this.EOL;
+    if (text.length > this.MAX_DOCUMENT_SIZE) throw this.makeError(0, 'document size limit of %d exceeded', this.MAX_DOCUMENT_SIZE);
+    return text;
+}
+
+// convert the value to encode with toJSON and the replacer, and find its repeated objects if using anchors
+// A document value that needs a tag or anchor has it written on its document start line.
+Qyaml.prototype.startEncoding = function startEncoding( lines, obj, replacer, isDocument ) {
+    var type, data, lineCount = lines.length;
+    this._depth = 0;
+    // like JSON.stringify, values are first converted with their toJSON method and the replacer
+    var keys = Array.isArray(replacer) ? replacerKeys(replacer) : null;
+    obj = this.prepareValue(obj, typeof replacer === 'function' ? replacer : null, keys);
+    if (isDocument && isTypedValue(obj) && (type = this.findType(obj)) && typeof (data = type.encode(obj)) === 'object') {
+        // a typed top-level value that converts to a list or hash is tagged on the document start line
+        lines.push('--- ' + type.tag);
+        obj = data;
+    }
+    if (this.ANCHORS) {
+        // find the objects that occur more than once, to encode them once and refer to them by alias
+        this._refs = countReferences(obj, makeRefMap());
+        this._anchorNames = makeRefMap();
+        if (isDocument && this._refs.get(obj) > 1) lines.push('--- &' + this.anchorName(obj));
+    }
+    if (isDocument && this.DOCUMENT_MARKERS && lines.length === lineCount) lines.push('---');
+    return obj;
+}
+
+// encode the list of objects as a multi-document stream, with the documents separated by "---"
+Qyaml.prototype.encodeAll = function encodeAll( docs, replacer ) {
+    var parts = new Array();
+    for (var i = 0; i < docs.length; i++) {
+        var doc = this.encode(docs[i], replacer);
+        // documents that begin with a document marker need no separator
+        parts.push(i > 0 && !isDocumentMarker(doc) ? '---' + this.EOL + doc : doc);
+    }
+    return parts.join('');
+}
+
+// re-encode the yaml documents with normalized indentation and quoting, keeping the flow
+// collections in flow style.  Comments would be lost, so yaml with comments is an error.
+Qyaml.prototype.format = function format( str ) {
+    var comment = findComment(normalizeLineBreaks(str)), docs, parts = new Array(), lines;
+    if (comment) {
+        this._source = normalizeLineBreaks(str);
+        try { throw this.makeError(comment.line, 'comment "%s" would be lost by format', comment.text) }
+        finally { this._source = null }
+    }
+    this._flowValues = makeRefMap();
+    try {
+        docs = this.decodeAll(str);
+        for (var i = 0; i < docs.length; i++) {
+            if (!this._flowValues.get(docs[i]) && (Array.isArray(docs[i]) || isMapping(docs[i]))) parts.push(this.encode(docs[i]));
+            else {
+                // simple values and flow collections are written on the "---" line
+                lines = this.encodeEntryLines('', '---', docs[i]);
+                if (this.DOCUMENT_MARKERS) lines.push('...');
+                parts.push(lines.join(this.EOL) + this.EOL);
+            }
+            if (i > 0 && !isDocumentMarker(parts[i])) parts[i] = '---' + this.EOL + parts[i];
+        }
+    }
+    finally {
+        this._flowValues = null;
+    }
+    return parts.join('');
+}
+
+// encode the value as a list element "-" or hash property "name:" at the given indentation
+Qyaml.prototype.encodeEntryLines = function encodeEntryLines( indentstr, prefix, value ) {
+    var lines = new Array();
+    this._depth = 0;
+    this.encodeEntry(lines, indentstr, prefix, this.prepareValue(value, null, null));
+    return lines;
+}
+
+// convert the value with toJSON and the replacer, unless without a replacer it has nothing to convert
+// The check is much faster than the conversion, which walks and copies the values with a Map.
+Qyaml.prototype.prepareValue = function prepareValue( value, replacer, keys ) {
+    if (!replacer && !keys && !this.ANCHORS && !this.needsReplacing(value, new Array())) return value;
+    return this.replaceValues({ '': value }, '', value, replacer, keys, makeRefMap(), new Array());
+}
+
+// whether the value or the values it contains have a toJSON method, break a limit, or refer
+// back to a containing list or hash, all of which replaceValues converts or reports
+Qyaml.prototype.needsReplacing = function needsReplacing( value, ancestors ) {
+    if (typeof value === 'string') return value.length > this.MAX_STRING_LENGTH;
+    if (value === null || typeof value !== 'object') return false;
+    if (typeof value.toJSON === 'function' && !(isTypedValue(value) && this.findType(value))) return true;
+    if (!Array.isArray(value) && !isHash(value)) return false;
+    if (ancestors.length >= this.MAX_DEPTH || ancestors.indexOf(value) >= 0) return true;
+    ancestors.push(value);
+    var count = 0;
+    if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) if (this.needsReplacing(value[i], ancestors)) return true;
+    }
+    else for (var k in value) {
+        if (k.length > this.MAX_STRING_LENGTH || ++count > this.MAX_KEYS || this.needsReplacing(value[k], ancestors)) return true;
+    }
+    ancestors.pop();
+    return false;
+}
+
+// convert the values contained in the value with their toJSON methods and the replacer
+// function, and keep only the hash properties listed in keys, if any.  Lists and hashes are
+// copied only if their contents change.  Values of registered types are encoded by their
+// type, not converted with toJSON.  Shared references are replaced only once.  The values are
+// also checked against the limits, and for circular references unless encoding with anchors;
+// ancestors are the { key, value } of the lists and hashes containing the value.
+Qyaml.prototype.replaceValues = function replaceValues( holder, key, value, replacer, keys, copies, ancestors ) {
+    if (value && typeof value.toJSON === 'function' && !(isTypedValue(value) && this.findType(value))) value = value.toJSON(key);
+    if (replacer) value = replacer.call(holder, key, value);
+    if (typeof value === 'string' && value.length > this.MAX_STRING_LENGTH) throw this.makeError(0, 'string length limit of %d exceeded', this.MAX_STRING_LENGTH);
+    if (!Array.isArray(value) && !isHash(value)) return value;
+    if (!this.ANCHORS) {
+        for (var n = 0; n < ancestors.length; n++) {
+            if (ancestors[n].value === value) throw this.circularError(ancestors, n, key);
+        }
+    }
+    if (ancestors.length >= this.MAX_DEPTH) throw this.makeError(0, 'depth limit of %d exceeded', this.MAX_DEPTH);
+    if (copies.get(value)) return copies.get(value);
+
+    // a circular reference back to a containing object refers to it as it was
+    copies.set(value, value);
+    ancestors.push({ key: key, value: value });
+    var copy = null, item, k;
+    if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+            item = this.replaceValues(value, String(i), value[i], replacer, keys, copies, ancestors);
+            if (item !== value[i] && !copy) copy = value.slice(0, i);
+            if (copy) copy.push(item);
+        }
+    }
+    else if (keys) {
+        copy = {};
+        for (var j = 0; j < keys.length; j++) {
+            k = keys[j];
+            if (k in value) setProperty(copy, k, this.replaceValues(value, k, value[k], replacer, keys, copies, ancestors));
+        }
+    }
+    else {
+        for (k in value) {
+            if (k.length > this.MAX_STRING_LENGTH) throw this.makeError(0, 'string length limit of %d exceeded', this.MAX_STRING_LENGTH);
+            item = this.replaceValues(value, k, value[k], replacer, keys, copies, ancestors);
+            if (item !== value[k] && !copy) copy = copyPropertiesBefore(value, k);
+            if (copy) setProperty(copy, k, item);
+        }
+    }
+    ancestors.pop();
+    if (copy) copies.set(value, copy);
+    if (!Array.isArray(value) && mappingSize(copy || value) > this.MAX_KEYS) throw this.makeError(0, 'hash property limit of %d exceeded', this.MAX_KEYS);
+    return copy || value;
 }
 
+// the error for the value at key in the innermost ancestor, which is the same as the nth ancestor
+Qyaml.prototype.circularError = function circularError( ancestors, n, key ) {
+    var path = ancestors.slice(1).map(function(ancestor) { return ancestor.key });
+    var err = this.makeError(0, 'circular reference at "%s" to "%s"', jsonPointer(path.concat(key)), jsonPointer(path.slice(0, n)));
+    err.path = jsonPointer(path.concat(key));
+    return err;
+}
 
 Qyaml.prototype.encodeLines = function encodeLines( lines, indentstr, item ) {
     this._depth += 1;
-    if (this._depth >= 1000) throw this.makeError(0, 'depth limit of %d exceeded', this._depth);
+    if (this._depth > this.MAX_DEPTH) throw this.makeError(0, 'depth limit of %d exceeded', this.MAX_DEPTH);
 
     if (Array.isArray(item)) {
-        for (var i = 0; i < item.length; i++) {
-            if (Array.isArray(item[i]) || isHash(item[i])) {
-                lines.push(indentstr + '-');
-                this.encodeLines(lines, indentstr + this._indentstr, item[i]);
-            }
-            else lines.push(indentstr + '- ' + this.encodeValue(item[i]));
-        }
+        for (var i = 0; i < item.length; i++) this.encodeEntry(lines, indentstr, '-', item[i]);
+        if (!item.length) lines.push(indentstr + '[]');
     }
     else if (isHash(item)) {
-        for (var k in item) {
-            if (item[k] === undefined) continue;
-            else if (Array.isArray(item[k]) || isHash(item[k])) {
-                lines.push(indentstr + this.encodeValue(String(k)) + ':');
-                this.encodeLines(lines, indentstr + this._indentstr, item[k]);
-            }
-            else {
-                lines.push(indentstr + this.encodeValue(String(k)) + ': ' + this.encodeValue(item[k]));
-            }
-        }
+        var keys = this.hashKeys(item);
+        for (var j = 0; j < keys.length; j++) this.encodeEntry(lines, indentstr, this.namePrefix(lines, indentstr, keys[j]), item[keys[j]]);
+        if (!keys.length) lines.push(indentstr + '{}');
     }
     else throw this.makeError(0, 'cannot encode simple value', item);
 
@@ -96,25 +743,91 @@ Qyaml.prototype.encodeLines = function encodeLines( lines, indentstr, item ) {
     return lines;
 }
 
+// the names of the hash properties to encode, in sorted order if so configured
+Qyaml.prototype.hashKeys = function hashKeys( item ) {
+    var keys = new Array();
+    for (var k in item) if (item[k] !== undefined) keys.push(k);
+    if (this.SORT_KEYS) typeof this.SORT_KEYS === 'function' ? keys.sort(this.SORT_KEYS) : keys.sort();
+    return keys;
+}
+
+// write the list element or hash property that starts with prefix "-" or "name:"
+// Strings too long for the line width are folded onto the following lines.
+Qyaml.prototype.encodeEntry = function encodeEntry( lines, indentstr, prefix, value ) {
+    var type, str;
+    if (Array.isArray(value) || isHash(value)) this.encodeNested(lines, indentstr, prefix, value);
+    else if (isTypedValue(value) && (type = this.findType(value))) this.encodeTagged(lines, indentstr, prefix, type, value);
+    else if (isBlockString(value)) this.encodeBlock(lines, indentstr + prefix + ' ', indentstr + this._indentstr, value);
+    else if (str = this.encodeValue(value), this.LINE_WIDTH && indentstr.length + prefix.length + 1 + str.length > this.LINE_WIDTH && isFoldable(value)) {
+        this.encodeFolded(lines, indentstr + prefix + ' ', indentstr + this._indentstr, value);
+    }
+    else lines.push(indentstr + prefix + ' ' + str);
+}
+
+// return the "name:" prefix of the hash property
+// Multi-line and very long names are written as an explicit "? name" key, followed by ": value"
+// (yaml limits implicit keys to a single line of 1024 characters).
+Qyaml.prototype.namePrefix = function namePrefix( lines, indentstr, name ) {
+    if (!isBlockString(name) && name.length <= 1024) return this.encodeName(name) + ':';
+    if (isBlockString(name)) this.encodeBlock(lines, indentstr + '? ', indentstr + this._indentstr, name);
+    else lines.push(indentstr + '? ' + this.encodeName(name));
+    return ':';
+}
+
+// write the value of a registered type as its !tag followed by its yaml representation
+Qyaml.prototype.encodeTagged = function encodeTagged( lines, indentstr, prefix, type, value ) {
+    var data = type.encode(value);
+    prefix += ' ' + type.tag;
+    if (Array.isArray(data) || isHash(data)) this.encodeNested(lines, indentstr, prefix, data);
+    else if (isBlockString(data)) this.encodeBlock(lines, indentstr + prefix + ' ', indentstr + this._indentstr, data);
+    else lines.push(indentstr + prefix + ' ' + this.encodeTaggedValue(data));
+}
+
+// tagged scalars are not resolved per the schema, so strings need quoting only if not parseable as plain text
+var mustQuoteTaggedRegex = /^$|^[\s\'\"\[\{>|*&!%#`@]|[\s]$|:\s|\s#|[\x00-\x1f\n\x7f-\uffff]/;
+Qyaml.prototype.encodeTaggedValue = function encodeTaggedValue( data ) {
+    return (typeof data === 'string' && !mustQuoteTaggedRegex.test(data)) ? data : this.encodeValue(data);
+}
+
+// return the first registered type that claims the value, the configured types before the built-ins
+Qyaml.prototype.findType = function findType( value ) {
+    if (this.BIGINT && typeof value === 'bigint') return null;
+    for (var i = 0; i < this._types.length; i++) {
+        if (this._types[i].test && this._types[i].test(value)) return this._types[i];
+    }
+    return null;
+}
+
 // convert a simple value to its string representation
 Qyaml.prototype.encodeValue = function encodeValue( value ) {
-    var str;
+    var str, type;
     switch (typeof value) {
     case 'number':
         str = String(value);
         switch (str) {
-        case 'NaN': return '.NaN';
-        case 'Infinity': return '.Inf';
-        case '-Infinity': return '-.Inf';
-        default: return str;
+        case 'NaN': return this.SCHEMA === 'json' ? 'null' : '.NaN';
+        case 'Infinity': return this.SCHEMA === 'json' ? 'null' : '.Inf';
+        case '-Infinity': return this.SCHEMA === 'json' ? 'null' : '-.Inf';
+        default:
+            // yaml 1.1 floats must contain a decimal point
+            if (this.SCHEMA === 'yaml-1.1' && str.indexOf('e') > 0 && str.indexOf('.') < 0) str = str.replace('e', '.0e');
+            return str;
         }
     case 'string':
-        return this.mustBeQuoted(value) ? JSON.stringify(value) : value;
+        return this.mustBeQuoted(value) ? this.quoteString(value) : value;
+    case 'boolean':
+        return String(value);
+    case 'undefined':
+        // only qyaml can decode undefined, other schemas get null like from JSON.stringify
+        return this.SCHEMA === 'qyaml' ? 'undefined' : 'null';
+    case 'bigint':
+        if (this.BIGINT) return String(value);
+        // else encoded with the !bigint type
     case 'object':
         if (value === null) return 'null';
+        if ((type = this.findType(value))) return type.tag + ' ' + this.encodeTaggedValue(type.encode(value));
         switch (value.constructor) {
-        case Date: return value.toJSON();
-        case RegExp: return this.encodeValue(String(value));
+        case Number: case Boolean: return this.encodeValue(value.valueOf());
         default: return this.encodeValue(String(value));
         }
     default:
@@ -122,12 +835,142 @@ Qyaml.prototype.encodeValue = function encodeValue( value ) {
     }
 }
 
+// property names are always strings, so are quoted only if they could not be read back as names
+Qyaml.prototype.encodeName = function encodeName( name ) {
+    var regex = this.QUOTE_STYLE === 'minimal' ? minimalQuoteRegex : mustQuoteRegex;
+    return (this.SCHEMA === 'json' || regex.test(name)) ? this.quoteString(name) : name;
+}
+
+// write a list or hash contained in a list or hash, on the same line in flow style or on the lines following
+// With anchors enabled, the first occurrence of a repeated object is anchored and the others are aliases.
+Qyaml.prototype.encodeNested = function encodeNested( lines, indentstr, prefix, item ) {
+    if (this.encodeNestedStart(lines, indentstr, prefix, item)) this.encodeLines(lines, indentstr + this._indentstr, item);
+}
+
+// write the alias, the flow collection, or the first line of the nested list or hash,
+// and return whether its contents are to follow on the next lines
+Qyaml.prototype.encodeNestedStart = function encodeNestedStart( lines, indentstr, prefix, item ) {
+    var flow, anchor = '';
+    if (this._refs && this._refs.get(item) > 1) {
+        if (this._anchorNames.get(item)) return !lines.push(indentstr + prefix + ' *' + this._anchorNames.get(item));
+        anchor = ' &' + this.anchorName(item);
+    }
+    if ((flow = this.flowStyle(item, indentstr.length + prefix.length + anchor.length + 1))) {
+        return !lines.push(indentstr + prefix + anchor + ' ' + flow);
+    }
+    lines.push(indentstr + prefix + anchor);
+    return true;
+}
+
+Qyaml.prototype.anchorName = function anchorName( item ) {
+    var name = 'id' + String(1001 + this._anchorNames.size).slice(1);
+    this._anchorNames.set(item, name);
+    return name;
+}
+
+// write a multi-line string as a "|" literal block scalar
+// Leading spaces need an explicit indentation indicator, trailing newlines a chomping indicator.
+Qyaml.prototype.encodeBlock = function encodeBlock( lines, prefix, indentstr, str ) {
+    var indicator = /^(\s*\n)? /.test(str) ? String(this.INDENT) : '';
+    var chomp = str[str.length - 1] !== '\n' ? '-' : str[str.length - 2] === '\n' ? '+' : '';
+    var parts = (chomp === '-' ? str : str.slice(0, -1)).split('\n');
+    lines.push(prefix + '|' + indicator + chomp);
+    for (var i = 0; i < parts.length; i++) lines.push(parts[i] ? indentstr + parts[i] : '');
+}
+
+// write the long single-line string as a ">-" folded block scalar, broken at single spaces to fit the line width
+Qyaml.prototype.encodeFolded = function encodeFolded( lines, prefix, indentstr, str ) {
+    var width = this.LINE_WIDTH - indentstr.length, words = new Array(), start = 0, line;
+    for (var i = 1; i < str.length - 1; i++) {
+        // the folded line break reads back as a single space, so breaks must not be next to other spaces
+        if (str[i] === ' ' && str[i - 1] !== ' ' && str[i + 1] !== ' ') {
+            words.push(str.slice(start, i));
+            start = i + 1;
+        }
+    }
+    words.push(str.slice(start));
+    lines.push(prefix + '>-');
+    line = words[0];
+    for (var j = 1; j < words.length; j++) {
+        if (line.length + 1 + words[j].length > width) {
+            lines.push(indentstr + line);
+            line = words[j];
+        }
+        else line += ' ' + words[j];
+    }
+    lines.push(indentstr + line);
+}
+
+// return the flow-style representation of the list or hash if it should be written inline, else null
+// Empty lists and hashes are always inline, and those nested at least flowLevel deep.  Otherwise
+// flow style must be enabled and the line not too long.
+Qyaml.prototype.flowStyle = function flowStyle( item, column ) {
+    var flow;
+    if (Array.isArray(item) ? !item.length : isEmptyHash(item)) return Array.isArray(item) ? '[]' : '{}';
+    if (this.FLOW_LEVEL && this._depth >= this.FLOW_LEVEL) return this.encodeFlow(item, true);
+    if (this._flowValues && this._flowValues.get(item) && (flow = this.encodeFlow(item, true))) return flow;
+    if (!this.FLOW || !(flow = this.encodeFlow(item))) return null;
+    return (column + flow.length <= this.FLOW_WIDTH) ? flow : null;
+}
+
+// convert a list or hash to a "[...]" or "{...}" flow collection
+// Returns null if the item contains nested lists or hashes, unless nested, or repeated objects to anchor.
+Qyaml.prototype.encodeFlow = function encodeFlow( item, nested ) {
+    var parts = new Array(), value, keys, str;
+    this._depth += 1;
+    if (this._depth > this.MAX_DEPTH) throw this.makeError(0, 'depth limit of %d exceeded', this.MAX_DEPTH);
+    keys = Array.isArray(item) ? null : this.hashKeys(item);
+    for (var i = 0; i < (keys ? keys.length : item.length); i++) {
+        value = keys ? item[keys[i]] : item[i];
+        if (this.isCollection(value) && (!nested || (this._refs && this._refs.get(value) > 1))) break;
+        if ((str = this.encodeFlowValue(value)) === null) break;
+        parts.push((keys ? this.encodeFlowValue(keys[i], true) + ': ' : '') + str);
+    }
+    this._depth -= 1;
+    if (i < (keys ? keys.length : item.length)) return null;
+    return keys ? '{' + parts.join(', ') + '}' : '[' + parts.join(', ') + ']';
+}
+
+// inside flow collections the flow indicators and comments are also special
+// Nested lists and hashes are null if they cannot be written in flow style.
+Qyaml.prototype.encodeFlowValue = function encodeFlowValue( value, isName ) {
+    var type = !isName && isTypedValue(value) && this.findType(value), flow;
+    if (type) return (flow = this.encodeFlowValue(type.encode(value))) === null ? null : type.tag + ' ' + flow;
+    if (!isName && (Array.isArray(value) || isHash(value))) return this.encodeFlow(value, true);
+    var str = isName ? this.encodeName(value) : this.encodeValue(value);
+    return (str[0] !== '"' && str[0] !== "'" && /[,\[\]{}#]/.test(str)) ? this.quoteString(str) : str;
+}
+
+// lists, hashes and typed values that convert to lists or hashes are written on multiple lines
+Qyaml.prototype.isCollection = function isCollection( value ) {
+    var type;
+    if (Array.isArray(value) || isHash(value)) return true;
+    return !!(isTypedValue(value) && (type = this.findType(value)) && typeof type.encode(value) === 'object');
+}
+
+// quote the string, in single quotes if so configured and no escapes are needed
+// The minimal style uses whichever quotes are shorter, single quotes if the same.
+Qyaml.prototype.quoteString = function quoteString( str, style ) {
+    style = style || this.QUOTE_STYLE;
+    if (style !== 'single' && style !== 'minimal' || /[\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str)) return JSON.stringify(str);
+    var single = "'" + str.replace(/'/g, "''") + "'", double = JSON.stringify(str);
+    return (style === 'minimal' && double.length < single.length) ? double : single;
+}
+
 // Note that \u-encoded utf8 and punctuation metacharacters must also be quoted.
 var mustQuoteMap = new Array(128), mustQuoteChars = "'\"  [] {} > | * & ! % # ` @ ,";
 for (var i=0; i<mustQuoteChars.length; i++) mustQuoteMap[mustQuoteChars.charCodeAt(i)] = true;
+// Empty string, leading/trailing whitespace, leading special chars, comments must be quoted.
+var mustQuoteRegex = /^$|^[\s]|[\s]$|^[\s\'\"\[\{>|*&!%#`@,]|^[-?](\s|$)|\s#|[\x00-\x1f\n\":\x7f-\uffff]/;
+// With the minimal quote style only the strings that would not read back as the same plain
+// text are quoted, eg non-ascii text and colons not followed by a space are left as is.
+var minimalQuoteRegex = new RegExp('^$|^\\s|\\s$|^[\'"\\[\\]{}>|*&!%#`@,]|^[-?:](\\s|$)|^(---|\\.\\.\\.)|:(\\s|$)|\\s#|' +
+    '[\\x00-\\x1f\\x7f-\\x9f\\u2028\\u2029\\ufeff]|[\\ud800-\\udbff](?![\\udc00-\\udfff])|(^|[^\\ud800-\\udbff])[\\udc00-\\udfff]');
 Qyaml.prototype.mustBeQuoted = function mustBeQuoted( str ) {
-    // empty string, leading/trailing whitespace, leading special chars must be quoted
-    return /^$|^[\s]|[\s]$|^[\s\'\"\[\{>|*!%#`@,]|[\x00-\x1f\n\":\x7f-\uffff]/.test(str);
+    // strings that the schema would read as some other value, and all strings in json, must be quoted
+    if (this.QUOTE_STYLE === 'always') return true;
+    if (this.QUOTE_STYLE === 'minimal') return this.SCHEMA === 'json' || minimalQuoteRegex.test(str) || this._resolve(str) !== str;
+    return this.SCHEMA === 'json' || mustQuoteRegex.test(str) || this._resolve(str) !== str;
 
 /**
     if (str.length === 0 || mustQuoteMap[str.charCodeAt(0)]) return true;
@@ -144,81 +987,119 @@ Qyaml.prototype.decodeLines = function decodeLines( lines, indent, lineOffset )
     var propertyCount = 0;
 
     var baseIndent = undefined;
-    var array = [], object = {}, asArray = false;
+    var array = [], object = this.MAPS ? new Map() : {}, asArray = false;
 
-    var name, value, valueString;
-    var mark, nextIndent = -1;
+    var name, key, nameLine, value, valueString, merges;
+    var mark;
+    // lists and hashes may be nested only maxDepth deep
+    if (++this._nesting > this.MAX_DEPTH) throw this.makeError(this.lineNumber + 1, 'depth limit of %d exceeded', this.MAX_DEPTH);
     while (lines.length > 0) {
-        var lineIndent = nextIndent >= 0 ? nextIndent : this.countIndent(lines[0]);
-        nextIndent = -1;
-        var line = lines[0].trim();
+        // document begin/end markers end all sections of the document
+        if (isDocumentMarker(lines.peek(0))) break;
+
+        var lineIndent = this.countIndent(lines.peek(0));
+        var line = lines.peek(0).trim();
 
 // TODO: trim trailing comments
 // TODO: concat lines ending in '\\[\r]\n'
 
-        // skip document begin/end markers
-        // TODO: should multi-document files be handled special?
-        if (line === '---' || line === '...') { lines.shift(); continue; }
-
         // skip comment lines
         // do not enforce indentation for comments
-        if (line[0] === '#') { lines.shift(); continue; }
+        if (line[0] === '#') { lines.shift(); this.lineNumber += 1; continue; }
 
         // skip empty lines
-        if (!line) { lines.shift(); continue; }
+        if (!line) { lines.shift(); this.lineNumber += 1; continue; }
+
+        // yaml indentation is spaces only, tabs can only separate tokens, eg after the "-" or ":"
+        if (lines.peek(0)[lineIndent] === '\t') throw this.makeError(this.lineNumber + 1, 'tab character used for indentation');
 
         // use the first indentation level for the sibling properties too
         if (baseIndent === undefined && line) baseIndent = lineIndent;
 
-        // done with section once indent decreases to below initial
-        if (lineIndent < baseIndent) break;
+        // done with section once indent decreases to below initial, or if not indented enough to be nested
+        if (lineIndent < baseIndent || lineIndent < indent) break;
+
+        // it is an error if the indent changes within a section
+        if (lineIndent > baseIndent && (array.length || propertyCount)) throw this.makeError(this.lineNumber + 1, 'unexpected change in indentation');
+
+        // dash-to-property transition could be the end of hang-indented array
+        var isItem = line[0] === '-' && (line.length === 1 || line[1] === ' ' || line[1] === '\t');
+        var isKey = line[0] === '?' && (line.length === 1 || line[1] === ' ' || line[1] === '\t');
+        if (asArray && !isItem) break;
 
         // increment line number once we know we will consume the line
         // Incrementing before consuming will make 1-based line numbers for the errors.
         var savedLine = lines.shift();
         this.lineNumber += 1;
+        this._contentLine = this.lineNumber;
+        if (this._locations) this._sourceLine = savedLine;
 
-        // it is an error if the indent changes within a section
-        if (lineIndent > baseIndent && (array.length || propertyCount)) throw this.makeError(this.lineNumber, 'unexpected change in indentation');
-
-        if (line[0] === '-' && (line.length === 1 || line[1] === ' ')) {
+        if ((line[0] === '[' || line[0] === '{') && !array.length && !propertyCount) {
+            // a flow collection on a line by itself is the entire value of the section
+            this._nesting -= 1;
+            return this.extractValue(this.stripComment(line), lines, lineIndent + 1, this.lineNumber);
+        }
+        else if (isItem) {
             if (propertyCount) throw this.makeError(this.lineNumber, 'unexpected array element in hash');
+            if (!array.length) this.claimAnchor(array);
             valueString = this.stripComment(line.slice(1));
+            if (this._path) this.startLocation(array.length, savedLine, 1, valueString);
             // arrays/hashes contained in an array must be indented
             value = this.extractValue(valueString, lines, lineIndent + 1, this.lineNumber);
+            if (this._path) this.endLocation();
             array.push(value);
             asArray = true;
         }
-        else {
-            // dash-to-property transition could be the end of hang-indented array
-            if (asArray) {
-                lines.unshift(savedLine);
-                return array;
+        else if (isKey) {
+            // explicit "? key" entry, with the value on the ": value" line that follows
+            if (!propertyCount) this.claimAnchor(object);
+            if (propertyCount >= this.MAX_KEYS) throw this.makeError(this.lineNumber, 'hash property limit of %d exceeded', this.MAX_KEYS);
+            nameLine = this.lineNumber;
+            key = this.extractKey(this.stripComment(line.slice(1)), lines, lineIndent + 1);
+            value = null;
+            if (this.skipToValueLine(lines, lineIndent)) {
+                savedLine = lines.shift();
+                this.lineNumber += 1;
+                this._contentLine = this.lineNumber;
+                if (this._locations) this._sourceLine = savedLine;
+                valueString = this.stripComment(savedLine.trim().slice(1));
+                if (this._path) this.startLocation(key, savedLine, 1, valueString, nameLine);
+                value = this.extractValue(valueString, lines, lineIndent + 1, this.lineNumber);
+                if (this._path) this.endLocation();
             }
-
-            // TODO: try to match and strip name, value, trailing comment with a single regex
-            var nameEnd = line.indexOf(': ');
-            if (nameEnd < 0 && line[line.length - 1] === ':') nameEnd = line.length - 1;
+            this.setEntry(object, key, value, nameLine);
+            propertyCount += 1;
+        }
+        else {
+            var nameEnd = findNameEnd(line);
             if (nameEnd < 0) throw this.makeError(this.lineNumber, 'missing property name');
-            name = line.slice(0, nameEnd).trim();
+            if (!propertyCount) this.claimAnchor(object);
+            if (propertyCount >= this.MAX_KEYS) throw this.makeError(this.lineNumber, 'hash property limit of %d exceeded', this.MAX_KEYS);
+            name = this.checkLength(line.slice(0, nameEnd).trim());
             valueString = this.stripComment(line.slice(nameEnd + 1));
-            if (name[0] === '"') name = this.extractValue(name);
+            mark = name === '<<';
+            nameLine = this.lineNumber;
+            if (name[0] === '"' || name[0] === "'") name = key = this.extractQuoted(name);
+            else key = this.MAPS ? this._resolve(name) : name;
+            if (this._path) this.startLocation(name, savedLine, nameEnd + 1, valueString);
             var potentialIndent;
 
-            if (valueString) {
-                // extract explicit values from the string
-                value = this.extractValue(valueString, lines, lineIndent, this.lineNumber);
+            if (valueString && !/^([&!]\S*\s+)*[&!]\S*$/.test(valueString)) {
+                // extract explicit values from the string, block scalars must be indented more than the name
+                value = this.extractValue(valueString, lines, lineIndent + 1, this.lineNumber);
             }
-            else if (lines[0] && lines[(potentialIndent = this.countIndent(lines[0]) || 0)] === '-' && lineIndent <= potentialIndent) {
-                // if value is a list, permit hang-indented list items
+            else if (lines.peek(0) && lines.peek(0)[potentialIndent = this.countIndent(lines.peek(0))] === '-' && lineIndent <= potentialIndent) {
+                // if value is a list, even if anchored or tagged, permit hang-indented list items
                 value = this.extractValue(valueString, lines, lineIndent, this.lineNumber);
-                nextIndent = potentialIndent;
             }
             else {
                 // else require that contents be indented more than the name
                 value = this.extractValue(valueString, lines, lineIndent + 1, this.lineNumber);
             }
-            object[name] = value;
+            if (this._path) this.endLocation();
+            // merge keys are applied after all the explicit properties are known
+            if (mark) (merges = merges || new Array()).push(value);
+            else this.setEntry(object, key, value, nameLine);
             propertyCount += 1;
         };
 
@@ -227,6 +1108,8 @@ Qyaml.prototype.decodeLines = function decodeLines( lines, indent, lineOffset )
         lineOffset += 1;
     }
 
+    if (merges) this.mergeKeys(object, merges);
+    this._nesting -= 1;
     return asArray ? array : object;
 }
 
@@ -234,35 +1117,29 @@ Qyaml.prototype.extractValue = function extractValue( valStr, lines, nestedInden
     // full YAML is at https://yaml.org/spec/1.2/spec.html
     // better summary at https://docs.ansible.com/ansible/latest/reference_appendices/YAMLSyntax.html
     if (valStr) {
+        // plain scalars may be continued on the next lines
+        if (lines && !/^["'\[{|>&*!]/.test(valStr)) valStr = this.gatherPlain(valStr, lines, nestedIndent);
+
         // convert the string to a simple value
-        switch (valStr) {
-        case 'null': case 'Null': case 'NULL': return null;
-        case 'true': case 'True': case 'TRUE': return true;
-        case 'false': case 'False': case 'FALSE' :return false;
-        case 'undefined': return undefined;     // decode, but is not encoded
-        case '.inf': case '.Inf': case '.INF': return Infinity;
-        case '+.inf': case '+.Inf': case '+.INF': return Infinity;
-        case '-.inf': case '-.Inf': case '-.INF': return -Infinity;
-        case '.nan': case '.Nan': case '.NaN': return NaN;
-        default: switch (valStr[0]) {
-            case '"':
-                valStr = tryJsonDecode(valStr);
-                if (typeof valStr === 'object') throw this.makeError(currentLine + 1, 'invalid quoted string', valStr);
-                return valStr;
-            case '0': case '1': case '2': case '3': case '4':
-            case '5': case '6': case '7': case '8': case '9':
-            case '+': case '-': case '.': case 'I':
-                // if it can be converted to a number, is a number
-                // TODO: 0.10 should be preserved as "0.10" (eg version number) -- maybe test
-                // TODO: However, .5 and 0.5 are the same... how to handle?
-                var num = Number(valStr);
-                // NOTE: 0x10 is converted to 16, but 010 is 10 (not 8), but floats are always base 10
-                if (typeof num === 'number' && !isNaN(num)) return num;
-                // else fall through
-            default:
-                // otherwise is a bareword
-                return valStr;
-            }
+        switch (valStr[0]) {
+        case '"':
+            return this.interpolate(this.extractQuoted(valStr, lines));
+        case "'":
+            return this.extractQuoted(valStr, lines);
+        case '[': case '{':
+            return this.extractFlow(valStr, lines);
+        case '|': case '>':
+            if (lines) return this.interpolate(this.checkLength(this.extractBlock(valStr, lines, nestedIndent)));
+            return valStr;
+        case '&':
+            return this.extractAnchored(valStr, lines, nestedIndent, currentLine);
+        case '!':
+            return this.extractTagged(valStr, lines, nestedIndent, currentLine);
+        case '*':
+            if (!/^\*[^\s\[\]{},]+$/.test(valStr)) throw this.makeError(this.lineNumber, 'invalid alias "%s"', valStr);
+            return this.resolveAlias(valStr.slice(1));
+        default:
+            return this.resolvePlainValue(this.interpolate(valStr));
         }
     }
     else {
@@ -271,77 +1148,2395 @@ Qyaml.prototype.extractValue = function extractValue( valStr, lines, nestedInden
     }
 }
 
-Qyaml.prototype.makeError = function makeError( lineNumber, message, arg1, arg2, arg3 ) {
-    var format = util.format("qyaml: line %d: %s", lineNumber, message);
-    var msg = "";
-
-    switch (arguments.length) {
-    case 0: msg = "error"; break;
-    case 1: msg = format.replace(' undefined', ''); break;
-    case 2: msg = format; break;
-    case 3: msg = util.format(format, arg1); break;
-    case 4: msg = util.format(format, arg1, arg2); break;
-    case 5:
-    default: msg = util.format(format, arg1, arg2, arg3); break;
-    }
+// convert the plain scalar to a value according to the schema
+// The json schema only has null, booleans and numbers, strings must be quoted.
+Qyaml.prototype.resolvePlain = function resolvePlain( str ) {
+    var value = this._resolve(str);
+    if (value === str && this.SCHEMA === 'json') throw this.makeError(this.lineNumber, 'unquoted string "%s" not valid in the json schema', str);
+    return value;
+}
 
-    var err = new Error(msg);
-    Error.captureStackTrace(err, makeError);
-    return err;
+// convert the plain scalar value, but keep the text of numbers at the numberText paths, eg "1.10"
+Qyaml.prototype.resolvePlainValue = function resolvePlainValue( str ) {
+    var value = this.resolvePlain(str);
+    if (this._numberText && (typeof value === 'number' || typeof value === 'bigint') && matchesAnyPath(this._numberText, this._path)) return str;
+    return value;
 }
 
-// return the length of leading whitespace (tabs + spaces) starting at offset in str
-// only handles strings that contain a non-space char
-Qyaml.prototype.countIndent = function countIndent( str ) {
-    for (var n = 0; n < str.length; n++) {
-        if (str.charCodeAt(n) !== 0x20) return n;
-    }
-    return n;
+// decode the value following a !tag, and convert it with the type registered for the tag
+// Tagged plain scalars are passed to the type as strings, not resolved per the schema, and
+// a tag without a value or nested lines as null.
+Qyaml.prototype.extractTagged = function extractTagged( valStr, lines, nestedIndent, currentLine ) {
+    var match = /^(!<[^>]*>|![^\s\[\]{},]*)\s*(.*)$/.exec(valStr), data;
+    if (!match) throw this.makeError(this.lineNumber, 'invalid tag "%s"', valStr);
+    if (match[2] && !/^["'\[{|>&*!]/.test(match[2])) data = this.interpolate(lines ? this.gatherPlain(match[2], lines, nestedIndent) : match[2]);
+    else if (!match[2] && lines && !this.hasNestedLines(lines, nestedIndent)) data = null;
+    else data = this.extractValue(match[2], lines, nestedIndent, currentLine);
+    return this.convertTagged(match[1], data);
 }
 
-// return the string with trailing comments removed
-// TODO: 5% overhead for this on .travis.yml
-var trailingCommentRegex = new RegExp(
-    "^\\s*(" +
-    "(\".*\")|" +
-    "(\'.*\')|" +
-    "([^\\s#\"]([^\\s#]|[^\\t ]#|[^#]*))|" +    // TODO: chars not including ' #' matches trailing whitespace too
-    "[^\\s#\"][^\\s]|" +
-    "[^\\s#\"]|" +
-    "" +
-    ")([\\t ]+#.*)?$"
-);
-Qyaml.prototype.stripComment = function stripComment( str ) {
-    // fast path the expected case
-    if (str.indexOf('#') < 0) return str.trim()
+Qyaml.prototype.convertTagged = function convertTagged( tag, data ) {
+    // the non-specific tag "!" just prevents plain scalar resolution
+    if (tag === '!') return data;
+    var type = this._tags[normalizeTag(tag)];
+    if (!type && tag === '!env' && this.ENV) return this.envValue(data);
+    if (!type && tag === '!include' && this.INCLUDE_DIR) return this.includeFile(data);
+    if (!type) throw this.makeError(this.lineNumber, 'unknown tag "%s"', tag);
+    try { return type.decode(data) }
+    catch (err) { throw this.makeError(this.lineNumber, 'invalid %s value: %s', tag, err.message) }
+}
 
-    var match = trailingCommentRegex.exec(str);
-//console.log("AR: match '%s': '%s'", str, match && match[1], match);
-    // TODO: the chars-not-including-trailing-comments matches trailing whitespace; remove it here
-    if (match) return match[1].trim();
+// substitute the values of the variables for the ${VAR} and ${VAR:-default} references
+// As in the shell, the default is used if the variable is unset or empty.  "$${" is a literal "${".
+var variableRegex = /\$\$\{|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+Qyaml.prototype.interpolate = function interpolate( str ) {
+    if (!this.ENV || str.indexOf('${') < 0) return str;
+    var self = this;
+    return str.replace(variableRegex, function(match, name, defaultValue) {
+        if (match === '$${') return '${';
+        var value = hasOwn(self.ENV, name) ? self.ENV[name] : undefined;
+        if (defaultValue !== undefined && (value === undefined || value === null || value === '')) return defaultValue;
+        if (value === undefined || value === null) throw self.makeError(self.lineNumber, 'undefined variable "%s"', name);
+        return String(value);
+    });
+}
 
-    // the above should have matched all possible strings, but just in case
-    return str.trim();
+// the value of the !env variable, resolved like a plain scalar
+Qyaml.prototype.envValue = function envValue( name ) {
+    if (typeof name !== 'string' || !name) throw this.makeError(this.lineNumber, 'invalid %s value: %s', '!env', 'expected a variable name');
+    var value = hasOwn(this.ENV, name) ? this.ENV[name] : undefined;
+    if (value === undefined || value === null) throw this.makeError(this.lineNumber, 'undefined variable "%s"', name);
+    return this._resolve(String(value));
 }
 
+// decode the !include yaml file named relative to the including file, with the same options
+// The file must be inside the include root, also after following symlinks, and must not
+// (indirectly) include itself.  Errors in the file are reported at the !include.
+Qyaml.prototype.includeFile = function includeFile( name ) {
+    if (typeof name !== 'string' || !name) throw this.makeError(this.lineNumber, 'invalid %s value: %s', '!include', 'expected a file name');
+    var file = path.resolve(this.INCLUDE_DIR, name), root = path.resolve(this.INCLUDE_ROOT), text, coder;
+    if (!isInside(root, file)) throw this.makeError(this.lineNumber, 'cannot include "%s": %s', name, 'outside the include root');
+    try {
+        file = fs.realpathSync(file);
+        root = fs.realpathSync(root);
+    }
+    catch (err) { throw this.makeError(this.lineNumber, 'cannot include "%s": %s', name, err.message) }
+    if (!isInside(root, file)) throw this.makeError(this.lineNumber, 'cannot include "%s": %s', name, 'outside the include root');
+    if (this._includes.indexOf(file) >= 0) throw this.makeError(this.lineNumber, 'cannot include "%s": %s', name, 'include cycle');
 
-// strip the surrounding quotes and convert embedded escapes
-function tryJsonDecode( str ) {
-    try { return JSON.parse(str) }
-    catch (err) { return err }
+    coder = new Qyaml(objectAssign({}, this._options, { includeDir: path.dirname(file), includeRoot: root }));
+    coder._includes = this._includes.concat(file);
+    try {
+        text = fs.readFileSync(file, 'utf8');
+        return coder.decode(text);
+    }
+    catch (err) {
+        var error = this.makeError(this.lineNumber, 'cannot include "%s": %s', name, err.message.replace(/^qyaml: /, ''));
+        if (err instanceof QyamlError) error.code = err.code;
+        throw error;
+    }
 }
 
-// polyfill for Object.assign (missing from node-v0.10)
-function objectAssign( target /*, VARARGS */ ) {
-    for (var ix = 1; ix < arguments.length; ix++) {
-        for (var k in arguments[ix]) target[k] = arguments[ix][k];
-    }
-    return target;
+// decode the value following an &anchor, and remember it for later *alias references
+Qyaml.prototype.extractAnchored = function extractAnchored( valStr, lines, nestedIndent, currentLine ) {
+    var match = /^&([^\s\[\]{},]+)\s*(.*)$/.exec(valStr);
+    if (!match) throw this.makeError(this.lineNumber, 'invalid anchor "%s"', valStr);
+    // a list or hash claims the anchor as soon as it is created, so it may contain aliases to itself
+    this._pendingAnchor = match[1];
+    var value = this.extractValue(match[2], lines, nestedIndent, currentLine);
+    if (this._pendingAnchor) this.claimAnchor(value);
+    return value;
 }
 
+Qyaml.prototype.claimAnchor = function claimAnchor( value ) {
+    if (this._pendingAnchor === null) return;
+    this._anchors[this._pendingAnchor] = { value: value, size: -1 };
+    this._pendingAnchor = null;
+}
+
+// return the value of the anchor, or a deep copy if so configured
+// Each alias is charged for the size of its value, to bound "billion laughs" expansions.
+Qyaml.prototype.resolveAlias = function resolveAlias( name ) {
+    var anchor = this._anchors && this._anchors[name];
+    if (!anchor) throw this.makeError(this.lineNumber, 'undefined alias "*%s"', name);
+    if (anchor.size < 0) anchor.size = countNodes(anchor.value, new Array(), this.MAX_ALIAS_EXPANSION + 1);
+    this._aliasExpansion += anchor.size;
+    if (this._aliasExpansion > this.MAX_ALIAS_EXPANSION) {
+        throw this.makeError(this.lineNumber, 'alias expansion limit of %d exceeded', this.MAX_ALIAS_EXPANSION);
+    }
+    return this.COPY_ALIASES ? deepCopy(anchor.value, makeRefMap()) : anchor.value;
+}
+
+// decode the key of a "? key" explicit entry, a property name unless decoding into Maps
+// Plain keys are the text as written, or converted per the schema if a Map key.
+Qyaml.prototype.extractKey = function extractKey( keyString, lines, nestedIndent ) {
+    if (keyString && !/^["'\[{|>&*!]/.test(keyString)) {
+        keyString = this.gatherPlain(keyString, lines, nestedIndent);
+        return this.MAPS ? this._resolve(keyString) : keyString;
+    }
+    var key = this.extractValue(keyString, lines, nestedIndent, this.lineNumber);
+    if (this.MAPS) return key;
+    if (key !== null && typeof key === 'object') throw this.makeError(this.lineNumber, 'list or hash not allowed as property name, use the maps option');
+    return String(key);
+}
+
+// skip the blank and comment lines before a ": value" line at the indentation, and return whether found
+Qyaml.prototype.skipToValueLine = function skipToValueLine( lines, indent ) {
+    for (var i = 0; i < lines.length; i++) {
+        var text = lines.peek(i).trim();
+        if (!text || text[0] === '#') continue;
+        if (this.countIndent(lines.peek(i)) !== indent || !/^:([ \t]|$)/.test(text)) return false;
+        lines.skip(i);
+        this.lineNumber += i;
+        return true;
+    }
+    return false;
+}
+
+// whether the next line with content is indented at least indent, ie is nested content
+Qyaml.prototype.hasNestedLines = function hasNestedLines( lines, indent ) {
+    for (var i = 0; i < lines.length; i++) {
+        var text = lines.peek(i).trim();
+        if (!text || text[0] === '#') continue;
+        return !isDocumentMarker(lines.peek(i)) && this.countIndent(lines.peek(i)) >= indent;
+    }
+    return false;
+}
+
+// set the hash property, or if already set then as per the duplicateKeys option
+// Hashes decoded into Maps are keyed by value, objects by property name.
+Qyaml.prototype.setEntry = function setEntry( hash, key, value, lineNumber ) {
+    if (this.DUPLICATE_KEYS !== 'last-wins' && (this.MAPS ? hash.has(key) : hasOwn(hash, key))) {
+        if (this.DUPLICATE_KEYS === 'first-wins') return;
+        var err = this.makeError(lineNumber, 'duplicate property name "%s"', String(key));
+        if (this.DUPLICATE_KEYS === 'error') throw err;
+        this.WARN(err);
+    }
+    if (this.MAPS) hash.set(key, value);
+    else setProperty(hash, key, value);
+}
+
+// apply "<<" merge keys: copy in the properties of the merged hashes that are not already set
+// The hash's own properties take precedence, then those of the earlier-listed merged hashes.
+Qyaml.prototype.mergeKeys = function mergeKeys( object, merges ) {
+    for (var i = 0; i < merges.length; i++) {
+        var sources = Array.isArray(merges[i]) ? merges[i] : [merges[i]];
+        for (var j = 0; j < sources.length; j++) {
+            if (this.MAPS ? !(sources[j] instanceof Map) : !isHash(sources[j])) {
+                throw this.makeError(this.lineNumber, 'merge value must be a hash or a list of hashes');
+            }
+            if (this.MAPS) sources[j].forEach(function(v, k) { if (!object.has(k)) object.set(k, v) });
+            else for (var k in sources[j]) if (!hasOwn(object, k)) setProperty(object, k, sources[j][k]);
+        }
+    }
+    if (mappingSize(object) > this.MAX_KEYS) throw this.makeError(this.lineNumber, 'hash property limit of %d exceeded', this.MAX_KEYS);
+    return object;
+}
+
+// gather the following lines that continue a plain (unquoted) multi-line scalar
+// Continuation lines must be indented more than the parent, and cannot be comments or hash entries.
+Qyaml.prototype.gatherPlain = function gatherPlain( valStr, lines, nestedIndent ) {
+    var i, text;
+    while (lines.length > 0) {
+        for (i = 0; i < lines.length && !lines.peek(i).trim(); i++) ;
+        if (i >= lines.length || this.countIndent(lines.peek(i)) < nestedIndent || isDocumentMarker(lines.peek(i))) break;
+        text = lines.peek(i).trim();
+        if (text[0] === '#' || /:[ \t]|:$/.test(text)) break;
+        // line folding: a line break is a space, empty lines are newlines
+        valStr += i > 0 ? repeatString('\n', i) : ' ';
+        valStr += this.stripComment(text);
+        lines.skip(i + 1);
+        this.lineNumber += i + 1;
+        this._contentLine = this.lineNumber;
+    }
+    return this.checkLength(valStr);
+}
+
+// strings and property names may be only maxStringLength long
+Qyaml.prototype.checkLength = function checkLength( str ) {
+    if (str.length > this.MAX_STRING_LENGTH) throw this.makeError(this.lineNumber, 'string length limit of %d exceeded', this.MAX_STRING_LENGTH);
+    return str;
+}
+
+// gather a single- or double-quoted string, which may continue onto the following lines
+Qyaml.prototype.extractQuoted = function extractQuoted( valStr, lines ) {
+    var end, startLine = this._valueLine = this.lineNumber;
+    while ((end = findClosingQuote(valStr, 0)) < 0) {
+        // an unterminated string is reported where it starts
+        if (!lines || !lines.length) throw this.makeError(startLine, 'unterminated quoted string');
+        valStr += '\n' + lines.shift();
+        this.lineNumber += 1;
+        this._contentLine = this.lineNumber;
+    }
+    // only a comment may follow the closing quote
+    if (!/^(\s+#.*)?\s*$/.test(valStr.slice(end + 1))) throw this.makeError(this.lineNumber, 'invalid quoted string, unexpected "%s" after the closing quote', valStr.slice(end + 1).trim());
+    var value = this.unquoteString(valStr.slice(0, end + 1));
+    this._valueLine = 0;
+    return value;
+}
+
+var quoteEscapes = {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\x0b', 'f': '\f', 'r': '\r', 'e': '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0', 'L': '\u2028', 'P': '\u2029',
+};
+var hexEscapeLengths = { 'x': 2, 'u': 4, 'U': 8 };
+
+// convert the quoted string to its value
+// Line breaks fold into a space (or newlines if followed by empty lines) and the whitespace
+// around them is dropped.  Single-quoted strings escape only quotes '', double-quoted strings
+// have backslash escapes and can escape the line break itself.
+Qyaml.prototype.unquoteString = function unquoteString( str ) {
+    var quote = str[0], out = '', keep = 0, ch, n, hex, code;
+    for (var i = 1; i < str.length - 1; i++) {
+        ch = str[i];
+        if (ch === '\n') {
+            out = out.slice(0, keep);
+            for (n = 0; ; n++) {
+                while (str[i + 1] === ' ' || str[i + 1] === '\t') i++;
+                if (str[i + 1] !== '\n') break;
+                i++;
+            }
+            out += n ? repeatString('\n', n) : ' ';
+            keep = out.length;
+        }
+        else if (ch === "'" && quote === "'") {
+            out += ch;
+            keep = out.length;
+            i++;
+        }
+        else if (ch === '\\' && quote === '"') {
+            ch = str[++i];
+            if (ch === '\n') {
+                while (str[i + 1] === ' ' || str[i + 1] === '\t') i++;
+            }
+            else if (quoteEscapes[ch] !== undefined) out += quoteEscapes[ch];
+            else if ((n = hexEscapeLengths[ch]) && /^[0-9a-fA-F]*$/.test(hex = str.slice(i + 1, i + 1 + n)) && hex.length === n) {
+                code = parseInt(hex, 16);
+                if (code > 0x10ffff) throw this.makeError(this.lineNumber, 'invalid unicode escape "\\%s%s"', ch, hex);
+                out += code <= 0xffff ? String.fromCharCode(code)
+                    : String.fromCharCode(0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff));
+                i += n;
+            }
+            else throw this.makeError(this.lineNumber, 'invalid escape "\\%s" in quoted string', ch);
+            keep = out.length;
+        }
+        else {
+            out += ch;
+            if (ch !== ' ' && ch !== '\t') keep = out.length;
+        }
+    }
+    return this.checkLength(out);
+}
+
+// gather the indented lines of a "|" literal or ">" folded block scalar
+// The header may have a chomping indicator "-" or "+" and an explicit indentation 1-9, in either order.
+Qyaml.prototype.extractBlock = function extractBlock( header, lines, nestedIndent ) {
+    var match = /^([|>])(?:([1-9])([+-]?)|([+-])([1-9]?))?$/.exec(header);
+    if (!match) throw this.makeError(this.lineNumber, 'invalid block scalar header "%s"', header);
+    var chomp = match[3] || match[4], indent = -1, i, line;
+
+    // the indentation is explicit relative to the parent, or is that of the first non-blank line
+    if (match[2] || match[5]) indent = nestedIndent - 1 + Number(match[2] || match[5]);
+    for (i = 0; i < lines.length && indent < 0; i++) {
+        if (!/^ *$/.test(lines.peek(i))) indent = this.countIndent(lines.peek(i));
+    }
+    if (indent < nestedIndent) indent = nestedIndent;
+
+    // the block ends with the first non-blank line indented less than the contents
+    var body = new Array();
+    while (lines.length > 0) {
+        line = lines.peek(0);
+        if (/^ *$/.test(line)) body.push(line.slice(indent));
+        else if (this.countIndent(line) < indent || isDocumentMarker(line)) break;
+        else body.push(line.slice(indent));
+        lines.shift();
+        this.lineNumber += 1;
+        if (body[body.length - 1]) this._contentLine = this.lineNumber;
+    }
+
+    // trailing empty lines are not part of the text, they are only kept if chomping "+"
+    for (var trailing = 0; body.length && body[body.length - 1] === ''; trailing++) body.pop();
+    var text = match[1] === '|' ? body.join('\n') : foldLines(body);
+    switch (chomp) {
+    case '-': return text;
+    case '+': return text + repeatString('\n', (body.length ? 1 : 0) + trailing);
+    default: return body.length ? text + '\n' : text;
+    }
+}
+
+// decode a "[...]" or "{...}" flow collection, which may continue onto the following lines
+Qyaml.prototype.extractFlow = function extractFlow( valStr, lines ) {
+    var state = { str: valStr, pos: 0, lines: lines || new LineQueue([]), plain: null, isName: false, line: this.lineNumber, column: 0 };
+    if (this._locations) {
+        // locate the flow text in the source line, after the name if on the same line
+        var entry = this._locationStack[this._locationStack.length - 1];
+        state.column = this._sourceLine.indexOf(valStr, entry && entry.line === this.lineNumber ? entry.valueColumn : 0);
+    }
+    this._valueLine = state.line;
+    var value = this.parseFlowNode(state);
+    // the collection must be the whole value, the rest of the line can be only a comment
+    if (this.skipFlowSpace(state, false) < state.str.length) throw this.makeError(this.lineNumber, 'unexpected text after flow collection');
+    this._valueLine = 0;
+    return value;
+}
+
+// skip whitespace and comments, appending the next line to the flow text if more is wanted
+// Returns the offset of the next token.
+Qyaml.prototype.skipFlowSpace = function skipFlowSpace( state, wantMore ) {
+    var str = state.str, pos = state.pos, ch;
+    for (;;) {
+        for ( ; pos < str.length; pos++) {
+            ch = str[pos];
+            if (ch === '#' && (pos === 0 || /\s/.test(str[pos - 1]))) {
+                pos = str.indexOf('\n', pos);
+                if (pos < 0) pos = str.length;
+            }
+            if (ch !== ' ' && ch !== '\t' && ch !== '\n' && ch !== '#') break;
+        }
+        if (pos < str.length || !wantMore) break;
+        str = this.appendFlowLine(state, 'unterminated flow collection');
+    }
+    return state.pos = pos;
+}
+
+Qyaml.prototype.appendFlowLine = function appendFlowLine( state, errorMessage ) {
+    // an unterminated flow collection is reported where it starts
+    if (!state.lines.length) throw this.makeError(state.line, errorMessage);
+    this.lineNumber += 1;
+    this._contentLine = this.lineNumber;
+    return state.str += '\n' + state.lines.shift();
+}
+
+// parse the flow node at the current position
+// The text of a plain (unquoted) scalar is left in state.plain, for use as a property name.
+// Variables are not substituted into hash property names, flagged by state.isName.
+Qyaml.prototype.parseFlowNode = function parseFlowNode( state ) {
+    var pos = this.skipFlowSpace(state, true), str = state.str, end, value, isName = state.isName;
+    state.isName = false;
+    switch (str[pos]) {
+    case '[': case '{':
+        state.pos += 1;
+        if (++this._nesting > this.MAX_DEPTH) throw this.makeError(this.lineNumber, 'depth limit of %d exceeded', this.MAX_DEPTH);
+        value = (str[pos] === '[') ? this.parseFlowList(state) : this.parseFlowHash(state);
+        this._nesting -= 1;
+        state.plain = null;
+        return value;
+    case '&':
+        end = this.flowAnchorEnd(state, pos);
+        this._pendingAnchor = str.slice(pos + 1, end);
+        state.pos = end;
+        value = this.parseFlowNode(state);
+        if (this._pendingAnchor) this.claimAnchor(value);
+        return value;
+    case '*':
+        end = this.flowAnchorEnd(state, pos);
+        state.pos = end;
+        state.plain = null;
+        return this.resolveAlias(str.slice(pos + 1, end));
+    case '!':
+        end = str[pos + 1] === '<' ? str.indexOf('>', pos) + 1 : pos + 1;
+        while (end > pos && end < str.length && !/[\s,\[\]{}]/.test(str[end])) end++;
+        if (end <= pos) throw this.makeError(this.lineNumber, 'invalid tag "%s"', str.slice(pos));
+        state.pos = end;
+        // a tagged plain scalar is passed as a string, not resolved
+        value = /[^"'\[{&*!,\]}]/.test(str[this.skipFlowSpace(state, true)]) ? this.interpolate(this.parseFlowPlain(state)) : this.parseFlowNode(state);
+        state.plain = null;
+        return this.convertTagged(str.slice(pos, end), value);
+    case ',': case ']': case '}':
+        // empty node
+        state.plain = '';
+        return null;
+    case '"': case "'":
+        while ((end = findClosingQuote(str, pos)) < 0) str = this.appendFlowLine(state, 'unterminated quoted string');
+        state.pos = end + 1;
+        state.plain = null;
+        value = this.unquoteString(str.slice(pos, end + 1));
+        return str[pos] === '"' && !isName ? this.interpolate(value) : value;
+    default:
+        state.plain = this.parseFlowPlain(state);
+        if (isName && state.plain) return this.resolvePlain(state.plain);
+        return state.plain ? this.extractValue(state.plain) : null;
+    }
+}
+
+// plain scalars end at flow indicators, at ': ' and at comments, and may continue onto the next line
+Qyaml.prototype.parseFlowPlain = function parseFlowPlain( state ) {
+    var text = '';
+    for (;;) {
+        var str = state.str, start = state.pos, pos, ch;
+        for (pos = start; pos < str.length; pos++) {
+            ch = str[pos];
+            // ${VAR} references contain braces
+            if (ch === '$' && str[pos + 1] === '{' && this.ENV && str.indexOf('}', pos) > 0) pos = str.indexOf('}', pos);
+            else if (ch === ',' || ch === '[' || ch === ']' || ch === '{' || ch === '}' || ch === '\n') break;
+            if (ch === ':' && (pos + 1 >= str.length || /[\s,\[\]{}]/.test(str[pos + 1]))) break;
+            if (ch === '#' && /\s/.test(str[pos - 1])) break;
+        }
+        text += (text ? ' ' : '') + str.slice(start, pos).trim();
+        state.pos = pos;
+        if (pos < str.length && ch !== '\n') return this.checkLength(text);
+        // line folding: a plain scalar broken across lines is rejoined with a space
+        pos = this.skipFlowSpace(state, true);
+        if (/[,\[\]{}:#]/.test(state.str[pos])) return this.checkLength(text);
+    }
+}
+
+// anchor and alias names end at whitespace and flow indicators
+Qyaml.prototype.flowAnchorEnd = function flowAnchorEnd( state, pos ) {
+    var end = pos + 1;
+    while (end < state.str.length && !/[\s,\[\]{}]/.test(state.str[end])) end++;
+    if (end === pos + 1) throw this.makeError(this.lineNumber, 'missing anchor or alias name');
+    return end;
+}
+
+Qyaml.prototype.parseFlowList = function parseFlowList( state ) {
+    var list = new Array(), value, hash, name, start;
+    this.claimAnchor(list);
+    if (this._flowValues) this._flowValues.set(list, true);
+    for (;;) {
+        if (state.str[(start = this.skipFlowSpace(state, true))] === ']') { state.pos += 1; return list; }
+        if (this._path) this._path.push(list.length);
+        value = this.parseFlowNode(state);
+        if (state.str[this.skipFlowSpace(state, true)] === ':') {
+            // a "name: value" pair inside a list is a single-property hash
+            hash = this.MAPS ? new Map() : {};
+            name = this.flowKey(state, value);
+            this.setEntry(hash, name, (state.pos += 1, this.parseFlowNode(state)), this.lineNumber);
+            value = hash;
+        }
+        if (this._path) this.flowLocation(state, -1, -1, start, state.pos);
+        list.push(value);
+        this.expectFlowSeparator(state, ']');
+    }
+}
+
+Qyaml.prototype.parseFlowHash = function parseFlowHash( state ) {
+    var hash = this.MAPS ? new Map() : {}, name, key, value, merges, nameStart, nameEnd, start, count = 0;
+    this.claimAnchor(hash);
+    if (this._flowValues) this._flowValues.set(hash, true);
+    for (;;) {
+        if (state.str[(nameStart = this.skipFlowSpace(state, true))] === '}') {
+            state.pos += 1;
+            return merges ? this.mergeKeys(hash, merges) : hash;
+        }
+        if (count++ >= this.MAX_KEYS) throw this.makeError(this.lineNumber, 'hash property limit of %d exceeded', this.MAX_KEYS);
+        state.isName = true;
+        key = this.flowKey(state, this.parseFlowNode(state));
+        name = String(key);
+        nameEnd = state.pos;
+        value = null;
+        if (this._path) this._path.push(name);
+        if (state.str[(start = this.skipFlowSpace(state, true))] === ':') {
+            state.pos += 1;
+            start = this.skipFlowSpace(state, true);
+            value = this.parseFlowNode(state);
+        }
+        if (this._path) this.flowLocation(state, nameStart, nameEnd, start, state.pos);
+        if (name === '<<' && state.plain !== '') (merges = merges || new Array()).push(value);
+        else this.setEntry(hash, key, value, this.lineNumber);
+        this.expectFlowSeparator(state, '}');
+    }
+}
+
+// the property name of a just-parsed flow node is its text as written, or its value as a Map key
+Qyaml.prototype.flowKey = function flowKey( state, value ) {
+    if (this.MAPS) return value;
+    if (value !== null && typeof value === 'object') throw this.makeError(this.lineNumber, 'flow collection not allowed as property name');
+    return state.plain !== null ? state.plain : String(value);
+}
+
+Qyaml.prototype.expectFlowSeparator = function expectFlowSeparator( state, close ) {
+    var ch = state.str[this.skipFlowSpace(state, true)];
+    if (ch === ',') state.pos += 1;
+    else if (ch !== close) throw this.makeError(this.lineNumber, 'expected "," or "%s" in flow collection', close);
+}
+
+// note where the list element or hash property is in the source, for editing documents
+// Entries are located by the JSON pointer to their value, and span from their own line to
+// the last line of their value.  Without locations only the path is tracked.
+Qyaml.prototype.startLocation = function startLocation( key, text, keyLength, valueString, keyLine ) {
+    this._path.push(key);
+    if (!this._locations) return;
+    var column = text.search(/\S/);
+    var location = {
+        line: this.lineNumber, column: column, endLine: this.lineNumber, keyLine: keyLine || this.lineNumber,
+        prefix: text.slice(column, column + keyLength),
+        valueColumn: valueString ? text.indexOf(valueString, column + keyLength) : -1,
+        valueText: valueString,
+        style: valueStyle(valueString),
+    };
+    this._locations[jsonPointer(this._path)] = location;
+    this._locationStack.push(location);
+}
+
+Qyaml.prototype.endLocation = function endLocation( ) {
+    if (this._locations) this._locationStack.pop().endLine = this._contentLine;
+    this._path.pop();
+}
+
+// note where the element or property just parsed from the flow collection is in the source
+// The property name and value are at the given offsets in the flow text.
+Qyaml.prototype.flowLocation = function flowLocation( state, nameStart, nameEnd, start, end ) {
+    if (this._locations) this._locations[jsonPointer(this._path)] = {
+        inFlow: true,
+        key: nameStart >= 0 ? flowRange(state, nameStart, nameEnd) : null,
+        value: flowRange(state, start, end),
+    };
+    this._path.pop();
+}
+
+// the document value spans from the first line with content to the last
+Qyaml.prototype.rootLocation = function rootLocation( lines, endLine ) {
+    var node = { line: 0, column: 0, endLine: 0, prefix: '', valueColumn: -1, valueText: '', style: 'block' };
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i], text = line.trim();
+        if (!text || text[0] === '#' || line[0] === '%' || (isDocumentMarker(line) && !line.slice(3).trim())) continue;
+        node.line = i + 1;
+        node.endLine = endLine;
+        if (isDocumentMarker(line)) {
+            // the value is on the "---" line
+            node.prefix = '---';
+            node.valueText = this.stripComment(line.slice(3));
+            node.valueColumn = line.indexOf(node.valueText, 3);
+            text = node.valueText;
+            node.style = valueStyle(text);
+        }
+        if (text[0] === '[' || text[0] === '{') node.style = 'flow';
+        break;
+    }
+    return node;
+}
+
+// where the entry is in the source, as 1-based lines and columns
+// Ranges include their end column, and empty values end just before they start.
+Qyaml.prototype.sourceLocation = function sourceLocation( node, lines ) {
+    if (node.inFlow) return { key: node.key, value: node.value };
+    var key = null, value, line, i;
+    if (node.prefix === ':') {
+        // the key of a "? key" entry is on the lines before the ": value" line
+        for (i = node.line - 2; i >= node.keyLine && !((line = lines[i].trim()) && line[0] !== '#'); i--) ;
+        line = lines[node.keyLine - 1];
+        key = { line: node.keyLine, column: line.search(/[^?\s]/) + 1, endLine: i + 1, endColumn: 0 };
+        key.endColumn = lines[i].indexOf(this.stripComment(lines[i])) + this.stripComment(lines[i]).length;
+    }
+    else if (node.prefix && node.prefix !== '-' && node.prefix !== '---') {
+        key = { line: node.line, column: node.column + 1, endLine: node.line, endColumn: node.column + node.prefix.length - 1 };
+    }
+    if (node.valueColumn >= 0) {
+        value = { line: node.line, column: node.valueColumn + 1, endLine: node.endLine, endColumn: node.valueColumn + node.valueText.length };
+    }
+    else {
+        // a value on the lines following its name starts with the first line that is not blank or a comment
+        for (i = Math.max(node.line - (node.prefix ? 0 : 1), 0); i < node.endLine; i++) if ((line = lines[i].trim()) && line[0] !== '#') break;
+        value = i < node.endLine
+            ? { line: i + 1, column: this.countIndent(lines[i]) + 1, endLine: node.endLine, endColumn: 0 }
+            : { line: node.line, column: node.column + node.prefix.length + 1, endLine: node.line, endColumn: node.column + node.prefix.length };
+    }
+    if (value.endLine > value.line || !value.endColumn) {
+        // the value ends with the text on its last line, not counting a trailing comment
+        line = lines[value.endLine - 1] || '';
+        var text = node.style === 'literal' ? line.replace(/\s+$/, '') : this.stripComment(line);
+        if (text) value.endColumn = line.indexOf(text) + text.length;
+    }
+    return { key: key, value: value };
+}
+
+Qyaml.prototype.makeError = function makeError( lineNumber, message, arg1, arg2, arg3 ) {
+    // in multi-document streams also identify the document, the line number is still that in the stream
+    // Encoding errors are not on any line.
+    var format = (lineNumber === 0) ? util.format("qyaml: %s", message)
+        : (this.documentNumber > 1)
+        ? util.format("qyaml: document %d, line %d: %s", this.documentNumber, lineNumber, message)
+        : util.format("qyaml: line %d: %s", lineNumber, message);
+    var msg = "";
+
+    switch (arguments.length) {
+    case 0: msg = "error"; break;
+    case 1: msg = format.replace(' undefined', ''); break;
+    case 2: msg = format; break;
+    case 3: msg = util.format(format, arg1); break;
+    case 4: msg = util.format(format, arg1, arg2); break;
+    case 5:
+    default: msg = util.format(format, arg1, arg2, arg3); break;
+    }
+
+    // point to the offending text quoted in the message, else to the first non-space on the line
+    var source = (this._source !== null && lineNumber > 0) ? String(this._source).split('\n')[lineNumber - 1 - this._sourceOffset] : undefined;
+    var quoted = /"(.+?)"/.exec(msg), column = 0;
+    if (source !== undefined) column = (quoted && source.indexOf(quoted[1]) >= 0 ? source.indexOf(quoted[1]) : Math.max(source.search(/[^ ]/), 0)) + 1;
+
+    var err = new QyamlError(msg, errorCodes[message] || 'SYNTAX', lineNumber || 0, column, source);
+    if (this.documentNumber > 0) err.document = this.documentNumber;
+    Error.captureStackTrace(err, makeError);
+    return err;
+}
+
+/*
+ * Errors from decoding and encoding.  Decode errors identify the line and column (1-based) of
+ * the error, and quote the source line with a caret pointing at the column.
+ */
+function QyamlError( message, code, line, column, source ) {
+    Error.call(this);
+    this.message = message;
+    this.code = code;
+    this.line = line;
+    this.column = column;
+    this.source = source;
+    this.snippet = source === undefined ? '' : source + '\n' + repeatString(' ', column - 1) + '^';
+}
+util.inherits(QyamlError, Error);
+QyamlError.prototype.name = 'QyamlError';
+
+// the codes of the errors, by their message
+var errorCodes = {
+    'expected a single document but found more, use decodeAll': 'MULTIPLE_DOCUMENTS',
+    'unexpected trailing lines': 'BAD_INDENT',
+    'unexpected change in indentation': 'BAD_INDENT',
+    'unexpected array element in hash': 'BAD_INDENT',
+    'tab character used for indentation': 'BAD_INDENT',
+    'missing property name': 'MISSING_NAME',
+    'unterminated quoted string': 'BAD_QUOTE',
+    'invalid quoted string, unexpected "%s" after the closing quote': 'BAD_QUOTE',
+    'invalid escape "\\%s" in quoted string': 'BAD_ESCAPE',
+    'invalid unicode escape "\\%s%s"': 'BAD_ESCAPE',
+    'invalid block scalar header "%s"': 'BAD_BLOCK',
+    'unterminated flow collection': 'BAD_FLOW',
+    'unexpected text after flow collection': 'BAD_FLOW',
+    'expected "," or "%s" in flow collection': 'BAD_FLOW',
+    'flow collection not allowed as property name': 'BAD_FLOW',
+    'list or hash not allowed as property name, use the maps option': 'BAD_KEY',
+    'invalid anchor "%s"': 'BAD_ANCHOR',
+    'missing anchor or alias name': 'BAD_ANCHOR',
+    'invalid alias "%s"': 'BAD_ALIAS',
+    'undefined alias "*%s"': 'BAD_ALIAS',
+    'alias expansion limit of %d exceeded': 'ALIAS_LIMIT',
+    'merge value must be a hash or a list of hashes': 'BAD_MERGE',
+    'invalid tag "%s"': 'BAD_TAG',
+    'unknown tag "%s"': 'UNKNOWN_TAG',
+    'invalid %s value: %s': 'BAD_TYPE_VALUE',
+    'unquoted string "%s" not valid in the json schema': 'BAD_SCALAR',
+    'depth limit of %d exceeded': 'DEPTH_LIMIT',
+    'document size limit of %d exceeded': 'SIZE_LIMIT',
+    'hash property limit of %d exceeded': 'KEY_LIMIT',
+    'string length limit of %d exceeded': 'STRING_LIMIT',
+    'circular reference at "%s" to "%s"': 'CIRCULAR',
+    'cannot encode simple value': 'BAD_VALUE',
+    'comment "%s" would be lost by format': 'COMMENT',
+    'duplicate property name "%s"': 'DUPLICATE_KEY',
+    'schema violation at "%s": %s': 'SCHEMA',
+    'undefined variable "%s"': 'UNDEFINED_VARIABLE',
+    'cannot include "%s": %s': 'BAD_INCLUDE',
+};
+
+// return the number of leading spaces in str, tabs are not indentation
+Qyaml.prototype.countIndent = function countIndent( str ) {
+    for (var n = 0; n < str.length; n++) {
+        if (str.charCodeAt(n) !== 0x20) return n;
+    }
+    return n;
+}
+
+// return the string with trailing comments removed
+// TODO: 5% overhead for this on .travis.yml
+var trailingCommentRegex = new RegExp(
+    "^\\s*(" +
+    "(\".*\")|" +
+    "(\'.*\')|" +
+    "([^\\s#\"]([^\\s#]|[^\\t ]#|[^#]*))|" +    // TODO: chars not including ' #' matches trailing whitespace too
+    "[^\\s#\"][^\\s]|" +
+    "[^\\s#\"]|" +
+    "" +
+    ")([\\t ]+#.*)?$"
+);
+Qyaml.prototype.stripComment = function stripComment( str ) {
+    // fast path the expected case
+    if (str.indexOf('#') < 0) return str.trim()
+
+    var match = trailingCommentRegex.exec(str);
+//console.log("AR: match '%s': '%s'", str, match && match[1], match);
+    // TODO: the chars-not-including-trailing-comments matches trailing whitespace; remove it here
+    if (match) return match[1].trim();
+
+    // the above should have matched all possible strings, but just in case
+    return str.trim();
+}
+
+
+/*
+ * Editable yaml document.  The document keeps the yaml source text, and edits rewrite only
+ * the lines that hold the edited values, so comments, blank lines, quoting and the order of
+ * the properties are preserved.  The text is decoded again after each edit.
+ */
+function YamlDocument( coder, str ) {
+    str = String(str);
+    this.coder = coder;
+    // the text is edited with \n line breaks, and written with those of the source
+    this.bom = str.charCodeAt(0) === 0xFEFF ? '\uFEFF' : '';
+    this.eol = (/\r\n?|\n/.exec(str) || ['\n'])[0];
+    this.lines = normalizeLineBreaks(str).split('\n');
+    this.value = undefined;
+    this.nodes = null;
+    this.parse();
+}
+
+// decode the text, and note where each list element and hash property is in it
+YamlDocument.prototype.parse = function parse( ) {
+    var located = this.coder.decodeLocated(this.lines.join('\n'));
+    this.value = located.value;
+    this.nodes = located.nodes;
+}
+
+YamlDocument.prototype.get = function get( path ) {
+    return getPath(this.value, parsePath(path));
+}
+
+YamlDocument.prototype.has = function has( path ) {
+    return hasPath(this.value, parsePath(path));
+}
+
+// return where the value and its name are in the source text, or null if not found
+YamlDocument.prototype.getLocation = function getLocation( path ) {
+    var node = this.nodes[jsonPointer(parsePath(path))];
+    return node ? this.coder.sourceLocation(node, this.lines) : null;
+}
+
+// the entry with its own lines in the source, not inside a flow collection
+YamlDocument.prototype.findNode = function findNode( path ) {
+    var node = this.nodes[jsonPointer(path)];
+    return node && !node.inFlow ? node : null;
+}
+
+// set the value at the path, creating the hashes leading to it if necessary
+YamlDocument.prototype.set = function set( path, value ) {
+    var self = this, depth;
+    path = parsePath(path);
+    // find the innermost value on the path that has its own lines in the source
+    for (depth = path.length; depth > 0 && !this.findNode(path.slice(0, depth)); depth--) ;
+    var node = this.findNode(path.slice(0, depth)), container = this.get(path.slice(0, depth));
+
+    return this.edit(function() {
+        if (depth === path.length) self.replaceNode(node, value, self.get(path));
+        else if (node.style === 'block' && canAppend(container, path[depth])) {
+            self.insertEntry(node, path.slice(0, depth), path[depth], makeNested(path.slice(depth + 1), value));
+        }
+        else self.replaceNode(node, setPath(deepCopy(container, makeRefMap()), path.slice(depth), value), container);
+    });
+}
+
+// remove the value at the path, and return whether it was found
+YamlDocument.prototype.delete = function remove( path ) {
+    var self = this, depth;
+    path = parsePath(path);
+    if (!path.length || !this.has(path)) return false;
+    var node = this.findNode(path), container = this.get(path.slice(0, -1));
+
+    this.edit(function() {
+        if (node && Object.keys(container).length > 1) return self.lines.splice(node.keyLine - 1, node.endLine - node.keyLine + 1);
+        // values inside flow collections and the last value in a list or hash are deleted by rewriting the container
+        for (depth = path.length - 1; depth > 0 && !self.findNode(path.slice(0, depth)); depth--) ;
+        var current = self.get(path.slice(0, depth)), copy = deleteValue(deepCopy(current, makeRefMap()), path.slice(depth));
+        self.replaceNode(self.findNode(path.slice(0, depth)), copy, current);
+    });
+    return true;
+}
+
+YamlDocument.prototype.toString = function toString( ) {
+    return this.bom + this.lines.join(this.eol);
+}
+
+// apply the changes to the text, and decode it again; if the new text does not decode, undo the changes
+YamlDocument.prototype.edit = function edit( changeText ) {
+    var lines = this.lines.slice();
+    try {
+        changeText();
+        this.parse();
+    }
+    catch (err) {
+        this.lines = lines;
+        this.parse();
+        throw err;
+    }
+    return this;
+}
+
+// rewrite the lines of the node to hold the new value in place of the current one
+YamlDocument.prototype.replaceNode = function replaceNode( node, value, current ) {
+    var coder = this.coder, indentstr = repeatString(' ', node.column), lines, text;
+    var prefix = node.prefix + this.keptProperties(node, value, current);
+
+    if (!node.prefix && node === this.nodes['']) {
+        // the document value without a "---" is the whole document
+        text = node.style === 'flow' && (Array.isArray(value) || isHash(value)) && coder.encodeFlow(value);
+        lines = text ? [text] : coder.encode(value).slice(0, -1).split('\n');
+        if (node.line) spliceArray(this.lines, node.line - 1, node.endLine - node.line + 1, lines);
+        else spliceArray(this.lines, this.endOfText(), 0, lines);
+        return;
+    }
+
+    // keep flow collections in flow style and quoted strings in their quotes
+    lines = coder.encodeEntryLines(indentstr, prefix, value);
+    if (node.style === 'flow' && (Array.isArray(value) || isHash(value)) && (text = coder.encodeFlow(value))) {
+        lines = [indentstr + prefix + ' ' + text];
+    }
+    if ((node.style === 'single' || node.style === 'double') && typeof value === 'string' && lines.length === 1) {
+        lines = [indentstr + prefix + ' ' + coder.quoteString(value, node.style)];
+    }
+
+    if (lines.length === 1 && node.valueColumn >= 0 && node.endLine === node.line) {
+        // replace just the value text, keeping the rest of the line, eg a trailing comment
+        var line = this.lines[node.line - 1];
+        text = lines[0].slice(indentstr.length + node.prefix.length + 1);
+        this.lines[node.line - 1] = line.slice(0, node.valueColumn) + text + line.slice(node.valueColumn + node.valueText.length);
+    }
+    else spliceArray(this.lines, node.line - 1, node.endLine - node.line + 1, lines);
+}
+
+// the &anchor and !tag of the node to write before its new value, each with a leading space
+// The anchor is kept so that the aliases to it still resolve.  A standard tag is kept if the new
+// value is of the same kind, other tags and values of registered types would decode differently.
+YamlDocument.prototype.keptProperties = function keptProperties( node, value, current ) {
+    var props = valueProperties(node.valueText).match(/\S+/g) || [], kept = '';
+    var keepTag = sameKind(value, current) && !(isTypedValue(value) && this.coder.findType(value));
+    for (var i = 0; i < props.length; i++) {
+        if (props[i][0] === '&' || keepTag && standardTagRegex.test(normalizeTag(props[i]))) kept += ' ' + props[i];
+    }
+    return kept;
+}
+
+// add a new list element or hash property after the last one in the container
+YamlDocument.prototype.insertEntry = function insertEntry( node, path, key, value ) {
+    var container = this.get(path), sibling = null, column, prefix;
+    // new entries are indented like the existing ones
+    for (var k in container) if ((sibling = this.findNode(path.concat(k)))) break;
+    column = sibling ? sibling.column : node === this.nodes[''] ? 0 : node.column + this.coder.INDENT;
+    prefix = Array.isArray(container) ? '-' : this.coder.encodeName(String(key)) + ':';
+    var lines = this.coder.encodeEntryLines(repeatString(' ', column), prefix, value);
+    spliceArray(this.lines, node.line ? node.endLine : this.endOfText(), 0, lines);
+}
+
+// the index of the line following the text, not counting the empty string after the final newline
+YamlDocument.prototype.endOfText = function endOfText( ) {
+    return this.lines.length - (this.lines[this.lines.length - 1] === '' ? 1 : 0);
+}
+
+
+/*
+ * Incremental decoder for yaml streams too large to hold in memory.  The lines written are
+ * decoded as soon as the document they belong to is complete, or with the elements option
+ * as soon as each element of a top-level list is.  A document is complete when the next
+ * document starts or the stream ends, an element when the next element starts.
+ */
+function StreamDecoder( coder, options ) {
+    options = options || {};
+    // the decoder keeps its call state between writes, so it needs its own coder
+    this.coder = new Qyaml(coder._options);
+    this.elements = !!options.elements;
+    this.partial = '';          // the incomplete last line written
+    this.lines = new Array();   // the complete lines not yet decoded
+    this.lineNumber = 0;        // the number of lines decoded
+    this.state = 'start';       // 'start' before the document contents, then 'document' or 'list'
+    this.startLine = 0;         // the line where the document or the list element starts
+    this.listStarted = false;   // whether the list document has been started
+    this.itemCount = 0;         // the elements not yet decoded
+    this.index = 0;             // the index in the list of the next element
+    this.size = 0;              // the length of the text of the lines not yet decoded
+    this.open = { quote: '', depth: 0, blockIndent: -1 };  // the quoted string, flow collection or block scalar continuing onto the next line
+}
+
+// add the chunk of yaml text, and return the records of the documents or elements completed
+StreamDecoder.prototype.write = function write( chunk ) {
+    var text = this.partial + chunk, values = new Array();
+    // a \r at the end of the chunk may be the start of a \r\n
+    var held = text[text.length - 1] === '\r' ? 1 : 0;
+    var parts = normalizeLineBreaks(text.slice(0, text.length - held)).split('\n');
+    this.partial = parts.pop() + text.slice(text.length - held);
+    for (var i = 0; i < parts.length; i++) this.addLine(parts[i], values);
+    if (this.size + this.partial.length > this.coder.MAX_DOCUMENT_SIZE) this.sizeExceeded(this.lines.length);
+    return values;
+}
+
+// add the last chunk, if any, and return the records of the rest of the stream
+StreamDecoder.prototype.end = function end( chunk ) {
+    var values = chunk ? this.write(chunk) : new Array();
+    if (this.partial) this.addLine(this.partial.replace(/\r$/, ''), values);
+    this.partial = '';
+    this.flush(values);
+    return values;
+}
+
+StreamDecoder.prototype.addLine = function addLine( line, values ) {
+    if (isDocumentMarker(line)) {
+        // a "---" starts the next document, a "..." ends this one
+        if (line[0] === '.') return this.lines.push(line), this.flush(values);
+        this.flush(values);
+        if (this.coder.stripComment(line.slice(3))) this.state = 'document';
+    }
+    else if (this.state === 'start' && /^\s*[^\s#%]/.test(line)) {
+        // the first line of the contents shows whether the document is a list
+        this.state = this.elements && /^-( |$)/.test(line) ? 'list' : 'document';
+    }
+    if (this.state === 'list' && /^-( |$)/.test(line) && !this.open.quote && !this.open.depth) {
+        if (this.itemCount) this.decodeElements(values);
+        this.itemCount += 1;
+        this.startLine = this.lineNumber + this.lines.length + 1;
+    }
+    // a "- " line inside a multi-line quoted string or flow collection does not start an element
+    if (this.state === 'list') scanOpenValue(this.open, line);
+    this.lines.push(line);
+    if ((this.size += line.length + 1) > this.coder.MAX_DOCUMENT_SIZE) this.sizeExceeded(this.lines.length - 1);
+}
+
+// the text of a document, or with the elements option of a list element, is limited to maxDocumentSize
+StreamDecoder.prototype.sizeExceeded = function sizeExceeded( lineIndex ) {
+    throw this.coder.makeError(this.lineNumber + lineIndex + 1, 'document size limit of %d exceeded', this.coder.MAX_DOCUMENT_SIZE);
+}
+
+// decode the lines of the document or of the last element
+StreamDecoder.prototype.flush = function flush( values ) {
+    if (this.state === 'list') this.decodeElements(values);
+    else this.decodeLines(function(coder, lines) {
+        // a document starts at its "---" marker or its first line of contents
+        for (var i = 0; i < lines.length && /^\s*(#.*)?$|^%/.test(lines.peek(i)); i++) ;
+        this.startLine = this.lineNumber + i + 1;
+        while (coder.startDocument(lines)) {
+            values.push({ value: coder.decodeDocument(lines), document: coder.documentNumber, line: this.startLine });
+        }
+    });
+    this.state = 'start';
+    this.listStarted = false;
+    this.index = 0;
+    this.open = { quote: '', depth: 0, blockIndent: -1 };
+}
+
+// decode the pending list elements, starting the list document if not yet started
+StreamDecoder.prototype.decodeElements = function decodeElements( values ) {
+    this.decodeLines(function(coder, lines) {
+        if (!this.listStarted) this.listStarted = coder.startDocument(lines);
+        var list = coder.decodeLines(lines, 0, 0);
+        coder.endDocument(lines);
+        for (var i = 0; i < list.length; i++) {
+            values.push({ value: list[i], document: coder.documentNumber, line: this.startLine, index: this.index++ });
+        }
+    });
+    this.itemCount = 0;
+}
+
+// decode the buffered lines with the coder, keeping the stream line numbers
+StreamDecoder.prototype.decodeLines = function decodeLines( decode ) {
+    var coder = this.coder, lines = this.lines;
+    this.lines = new Array();
+    this.size = 0;
+    coder.lineNumber = this.lineNumber;
+    coder._nesting = 0;
+    if (coder._path) coder._path.length = 0;
+    coder._source = lines.join('\n');
+    coder._sourceOffset = this.lineNumber;
+    try {
+        decode.call(this, coder, new LineQueue(lines));
+    }
+    finally {
+        coder._source = null;
+        coder._sourceOffset = 0;
+        this.lineNumber += lines.length;
+    }
+}
+
+
+/*
+ * Incremental encoder, that returns the yaml text of the values it is given a few lines at a
+ * time instead of all at once.  Each value is encoded as an element of a top-level list, or
+ * with the documents option as a document.  The contents of lists and hashes are walked with
+ * an explicit stack, the other values are encoded by the coder whole.
+ */
+function StreamEncoder( coder, options ) {
+    options = options || {};
+    // the encoder keeps its call state between reads, so it needs its own coder
+    this.coder = new Qyaml(coder._options);
+    this.documents = !!options.documents;
+    this.replacer = options.replacer || null;
+    this.count = 0;             // the values started
+    this.lines = new Array();   // lines encoded but not yet read
+    this.stack = new Array();   // the lists and hashes being walked
+    this.ending = false;        // whether the document is to be ended by a "..." marker
+    this.size = 0;              // the length of the text of the document read so far
+}
+
+// start encoding the value, the text is returned by read
+StreamEncoder.prototype.start = function start( value ) {
+    var coder = this.coder, lines = this.lines;
+    value = coder.startEncoding(lines, value, this.replacer, this.documents);
+    if (this.documents) {
+        this.size = 0;
+        // documents that begin with a document marker need no separator
+        if (this.count > 0 && !lines.length) lines.push('---');
+        if (!Array.isArray(value) && !isHash(value)) throw coder.makeError(0, 'cannot encode simple value', value);
+        if (Array.isArray(value) ? !value.length : isEmptyHash(value)) lines.push(Array.isArray(value) ? '[]' : '{}');
+        else this.push(value, '');
+    }
+    else {
+        // the values are the elements of a top-level list
+        if (coder.DOCUMENT_MARKERS && !this.count) lines.push('---');
+        coder._depth = 1;
+        if (!Array.isArray(value) && !isHash(value)) coder.encodeEntry(lines, '', '-', value);
+        else if (coder.encodeNestedStart(lines, '', '-', value)) this.push(value, coder._indentstr);
+    }
+    this.ending = this.documents && coder.DOCUMENT_MARKERS;
+    this.count += 1;
+}
+
+StreamEncoder.prototype.push = function push( item, indentstr ) {
+    this.coder._depth += 1;
+    if (this.coder._depth > this.coder.MAX_DEPTH) throw this.coder.makeError(0, 'depth limit of %d exceeded', this.coder.MAX_DEPTH);
+    var keys = Array.isArray(item) ? new Array() : this.coder.hashKeys(item);
+    this.stack.push({ item: item, keys: keys, length: Array.isArray(item) ? item.length : keys.length, index: 0, indentstr: indentstr });
+}
+
+// return the next lines of the text of the value, or null once all have been returned
+StreamEncoder.prototype.read = function read( ) {
+    var coder = this.coder, lines = this.lines, frame, key, value, prefix;
+    while (this.stack.length && lines.length < 100) {
+        frame = this.stack[this.stack.length - 1];
+        if (frame.index >= frame.length) { this.stack.pop(); coder._depth -= 1; continue }
+        key = frame.keys.length ? frame.keys[frame.index] : frame.index;
+        value = frame.item[key];
+        frame.index += 1;
+        if (value === undefined && !Array.isArray(frame.item)) continue;
+        prefix = Array.isArray(frame.item) ? '-' : coder.namePrefix(lines, frame.indentstr, String(key));
+        if (!Array.isArray(value) && !isHash(value)) coder.encodeEntry(lines, frame.indentstr, prefix, value);
+        else if (coder.encodeNestedStart(lines, frame.indentstr, prefix, value)) this.push(value, frame.indentstr + coder._indentstr);
+    }
+    if (!this.stack.length && this.ending) {
+        lines.push('...');
+        this.ending = false;
+    }
+    if (!lines.length) {
+        coder._refs = coder._anchorNames = null;
+        return null;
+    }
+    this.lines = new Array();
+    var text = lines.join(coder.EOL) + coder.EOL;
+    if ((this.size += text.length) > coder.MAX_DOCUMENT_SIZE) throw coder.makeError(0, 'document size limit of %d exceeded', coder.MAX_DOCUMENT_SIZE);
+    return text;
+}
+
+// return the text that ends the stream:  an empty list if no values were written as list elements
+StreamEncoder.prototype.end = function end( ) {
+    var eol = this.coder.EOL;
+    if (this.documents) return '';
+    if (this.coder.DOCUMENT_MARKERS) return this.count ? '...' + eol : '---' + eol + '[]' + eol + '...' + eol;
+    return this.count ? '' : '[]' + eol;
+}
+
+// abandon the value being encoded
+StreamEncoder.prototype.reset = function reset( ) {
+    this.lines = new Array();
+    this.stack = new Array();
+    this.ending = false;
+    this.coder._refs = this.coder._anchorNames = null;
+}
+
+
+/*
+ * JSON Schema validator for decoded values.  Supports the keywords type, enum, const,
+ * required, properties, additionalProperties, items, pattern, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, minLength, maxLength, minItems, maxItems and "#..."
+ * $refs within the schema.  Other keywords are ignored.
+ */
+function SchemaValidator( coder, schema, locations, options ) {
+    this.coder = coder;
+    this.root = schema;
+    this.locations = locations;         // where the values are in the yaml, by JSON pointer
+    this.defaults = !!(options && options.defaults);
+    this.errors = new Array();
+}
+
+SchemaValidator.prototype.check = function check( value, schema, path ) {
+    var i, k, n;
+    if (schema === true || schema === undefined) return;
+    if (schema === false) return this.report(path, 'false', 'no value allowed');
+    if (schema.$ref !== undefined) this.check(value, this.resolveRef(schema.$ref), path);
+
+    if (schema.type !== undefined) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        for (i = 0; i < types.length && !isSchemaType(value, types[i]); i++) ;
+        if (i >= types.length) return this.report(path, 'type', 'must be ' + types.join(' or '));
+    }
+    if (schema.enum !== undefined) {
+        for (i = 0; i < schema.enum.length && !jsonEqual(value, schema.enum[i]); i++) ;
+        if (i >= schema.enum.length) this.report(path, 'enum', 'must be one of ' + JSON.stringify(schema.enum));
+    }
+    if (schema.const !== undefined && !jsonEqual(value, schema.const)) this.report(path, 'const', 'must be ' + JSON.stringify(schema.const));
+
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        if (schema.minimum !== undefined && !(value >= schema.minimum)) this.report(path, 'minimum', 'must be >= ' + schema.minimum);
+        if (schema.maximum !== undefined && !(value <= schema.maximum)) this.report(path, 'maximum', 'must be <= ' + schema.maximum);
+        if (typeof schema.exclusiveMinimum === 'number' && !(value > schema.exclusiveMinimum)) this.report(path, 'exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum);
+        if (typeof schema.exclusiveMaximum === 'number' && !(value < schema.exclusiveMaximum)) this.report(path, 'exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum);
+    }
+    else if (typeof value === 'string') {
+        // string lengths are counted in unicode characters, not utf16 code units
+        n = value.replace(/[\ud800-\udbff][\udc00-\udfff]/g, '_').length;
+        if (schema.minLength !== undefined && n < schema.minLength) this.report(path, 'minLength', 'must have at least ' + schema.minLength + ' characters');
+        if (schema.maxLength !== undefined && n > schema.maxLength) this.report(path, 'maxLength', 'must have at most ' + schema.maxLength + ' characters');
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) this.report(path, 'pattern', 'must match pattern "' + schema.pattern + '"');
+    }
+    else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) this.report(path, 'minItems', 'must have at least ' + schema.minItems + ' items');
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) this.report(path, 'maxItems', 'must have at most ' + schema.maxItems + ' items');
+        // items is the schema of all the items, or a list of the schemas of the first items
+        if (schema.items !== undefined) {
+            for (i = 0; i < value.length; i++) {
+                this.check(value[i], Array.isArray(schema.items) ? schema.items[i] : schema.items, path.concat(i));
+            }
+        }
+    }
+    else if (isHash(value)) {
+        var properties = schema.properties || {};
+        if (this.defaults) {
+            for (k in properties) {
+                if (!hasOwn(value, k) && properties[k] && properties[k].default !== undefined) {
+                    setProperty(value, k, deepCopy(properties[k].default, makeRefMap()));
+                }
+            }
+        }
+        if (schema.required) {
+            for (i = 0; i < schema.required.length; i++) {
+                if (!hasOwn(value, schema.required[i])) this.report(path, 'required', 'missing required property "' + schema.required[i] + '"');
+            }
+        }
+        for (k in value) {
+            if (hasOwn(properties, k)) this.check(value[k], properties[k], path.concat(k));
+            else if (schema.additionalProperties === false) this.report(path.concat(k), 'additionalProperties', 'property "' + k + '" not allowed');
+            else this.check(value[k], schema.additionalProperties, path.concat(k));
+        }
+    }
+}
+
+// add a QyamlError for the violation, located at the value or if not in the yaml at its container
+SchemaValidator.prototype.report = function report( path, keyword, message ) {
+    var pointer = jsonPointer(path), location = null, depth = path.length, range;
+    while (this.locations && depth >= 0 && !(location = this.locations[jsonPointer(path.slice(0, depth))])) depth--;
+    // missing and unexpected properties are reported at the name of the hash or of the property
+    range = location && ((keyword === 'required' || keyword === 'additionalProperties') && depth === path.length && location.key || location.value);
+    var err = this.coder.makeError(range ? range.line : 0, 'schema violation at "%s": %s', pointer, message);
+    if (range) err.column = range.column;
+    if (range) err.snippet = err.source + '\n' + repeatString(' ', range.column - 1) + '^';
+    err.path = pointer;
+    err.keyword = keyword;
+    this.errors.push(err);
+}
+
+// find the schema referred to by "#" or a "#/json/pointer" into the root schema
+SchemaValidator.prototype.resolveRef = function resolveRef( ref ) {
+    var schema = this.root, path = ref[0] === '#' ? parsePath(decodeURIComponent(ref.slice(1))) : null;
+    for (var i = 0; path && i < path.length && schema !== undefined; i++) schema = hasOwn(schema, path[i]) ? schema[path[i]] : undefined;
+    if (!path || schema === undefined) throw new Error('qyaml: cannot resolve $ref "' + ref + '"');
+    return schema;
+}
+
+function isSchemaType( value, type ) {
+    switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'number': return typeof value === 'number' || typeof value === 'bigint';
+    case 'integer': return typeof value === 'bigint' || typeof value === 'number' && isFinite(value) && value % 1 === 0;
+    case 'string': return typeof value === 'string';
+    case 'array': return Array.isArray(value);
+    case 'object': return isHash(value);
+    default: return false;
+    }
+}
+
+// compare values like JSON:  the same simple values, or lists and hashes with equal contents
+function jsonEqual( a, b ) {
+    if (a === b) return true;
+    if (Array.isArray(a) !== Array.isArray(b) || !a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    for (var i = 0; i < keys.length; i++) if (!hasOwn(b, keys[i]) || !jsonEqual(a[keys[i]], b[keys[i]])) return false;
+    return true;
+}
+
+
+/*
+ * Layered configuration.  Each layer is deep-merged into the value of the layers before it:
+ * hashes are merged property by property, lists according to the arrays option, and other
+ * values replace the inherited value.  A null property, unless keepNulls, or an empty "!reset"
+ * deletes the inherited property, and "!reset" on a list or hash replaces the inherited
+ * value instead of merging into it.
+ */
+function ConfigLoader( coder, options ) {
+    var types = (coder._options.types || []).concat({ tag: '!reset', decode: function(data) { return new ConfigReset(data) } });
+    this.coder = new Qyaml(objectAssign({}, coder._options, { types: types, maps: false }));
+    this.ARRAYS = options.arrays || 'replace';  // 'replace', 'concat' or 'merge-by-key'
+    if (!/^(replace|concat|merge-by-key)$/.test(this.ARRAYS)) throw new Error('qyaml: unknown arrays "' + this.ARRAYS + '"');
+    this.ARRAY_KEY = options.arrayKey || 'name';  // property that identifies hashes in lists merged by key
+    this.KEEP_NULLS = !!options.keepNulls;      // null properties are values, not deletions
+    this.IGNORE_MISSING = !!options.ignoreMissing;  // skip layer files that do not exist
+    this.value = undefined;
+    this.sources = {};          // the file and line of each value, by JSON pointer
+    this._layer = null;         // the name and value locations of the layer being merged
+}
+
+ConfigLoader.prototype.addLayer = function addLayer( layer, index ) {
+    var name, text, decoded;
+    if (typeof layer === 'string') {
+        name = layer;
+        try { text = fs.readFileSync(layer, 'utf8') }
+        catch (err) { if (this.IGNORE_MISSING && err.code === 'ENOENT') return; throw err }
+    }
+    else {
+        name = layer.name || 'layer ' + (index + 1);
+        text = layer.yaml;
+    }
+    try {
+        decoded = this.coder.decodeWithLocations(text);
+    }
+    catch (err) {
+        // identify the layer in decode errors
+        if (err instanceof QyamlError) {
+            err.message = err.message.replace(/^qyaml: /, 'qyaml: ' + name + ', ');
+            err.file = name;
+        }
+        throw err;
+    }
+    this._layer = { name: name, locations: decoded.locations };
+    this.value = this.merge(this.value, decoded.value, new Array(), new Array());
+    this._layer = null;
+}
+
+// merge the layer value into the inherited base value, and return the merged value
+// The base is updated in place.  Returns undefined if the value deletes the base.
+ConfigLoader.prototype.merge = function merge( base, value, path, layerPath ) {
+    if (value instanceof ConfigReset) {
+        this.forget(path, base);
+        return (Array.isArray(value.value) || isHash(value.value)) ? this.merge(undefined, value.value, path, layerPath) : undefined;
+    }
+    if (isHash(value)) {
+        if (!isHash(base)) {
+            this.forget(path, base);
+            base = {};
+        }
+        for (var k in value) {
+            var merged = (value[k] === null && !this.KEEP_NULLS)
+                ? (this.forget(path.concat(k), base[k]), undefined)
+                : this.merge(hasOwn(base, k) ? base[k] : undefined, value[k], path.concat(k), layerPath.concat(k));
+            if (merged === undefined) delete base[k];
+            else setProperty(base, k, merged);
+        }
+    }
+    else if (Array.isArray(value)) {
+        if (!Array.isArray(base) || this.ARRAYS === 'replace') {
+            this.forget(path, base);
+            base = new Array();
+        }
+        this.mergeList(base, value, path, layerPath);
+    }
+    else {
+        this.forget(path, base);
+        base = value;
+    }
+    this.note(path, layerPath);
+    return base;
+}
+
+// append the elements of the layer list, or with merge-by-key merge the hashes with the same key
+// A "!reset" hash replaces the hash with its key.
+ConfigLoader.prototype.mergeList = function mergeList( base, list, path, layerPath ) {
+    for (var i = 0; i < list.length; i++) {
+        var index = this.ARRAYS === 'merge-by-key' ? findByKey(base, list[i], this.ARRAY_KEY) : -1;
+        if (index < 0) index = base.length;
+        var merged = this.merge(base[index], list[i], path.concat(index), layerPath.concat(i));
+        if (merged !== undefined) base[index] = merged;
+    }
+}
+
+// note that the value at the path is from the current layer
+ConfigLoader.prototype.note = function note( path, layerPath ) {
+    var location = this._layer.locations[jsonPointer(layerPath)];
+    this.sources[jsonPointer(path)] = { file: this._layer.name, line: location ? (location.key || location.value).line : 0 };
+}
+
+// forget the sources of the replaced value, and of the values inside it
+ConfigLoader.prototype.forget = function forget( path, value ) {
+    var pointer = jsonPointer(path);
+    delete this.sources[pointer];
+    if (value === null || typeof value !== 'object') return;
+    for (var p in this.sources) if (p.indexOf(pointer + '/') === 0) delete this.sources[p];
+}
+
+function ConfigReset( value ) {
+    this.value = value;
+}
+
+// the index of the hash in the list with the same key value as the item, or -1 if none
+function findByKey( list, item, key ) {
+    if (item instanceof ConfigReset) item = item.value;
+    if (!isHash(item) || !hasOwn(item, key)) return -1;
+    for (var i = 0; i < list.length; i++) if (isHash(list[i]) && hasOwn(list[i], key) && jsonEqual(list[i][key], item[key])) return i;
+    return -1;
+}
+
+
+/*
+ * JSONPath queries.  Supports the root $, .name and ['name'] children, [0] and [-1] list
+ * elements, [start:end:step] slices, * wildcards, [a,b] unions, ..name descendants at any
+ * depth, and [?(...)] filters that compare @-relative or $-rooted paths with literals using
+ * == != < <= > >= and =~ /regex/, combined with ! && || and parentheses.  A path alone in
+ * a filter tests that it exists.
+ */
+function JsonPath( expr ) {
+    this.expr = String(expr);
+    this.pos = 0;
+    if (this.expr[0] === '$') this.pos += 1;
+    this.segments = this.parseSegments();
+    if (this.pos < this.expr.length) this.fail();
+}
+
+// parse the ".name", "..name" and "[...]" segments of the path
+JsonPath.prototype.parseSegments = function parseSegments( ) {
+    var segments = new Array(), expr = this.expr, descendant, match;
+    while (expr[this.pos] === '.' || expr[this.pos] === '[') {
+        descendant = expr.slice(this.pos, this.pos + 2) === '..';
+        if (expr[this.pos] === '.') this.pos += descendant ? 2 : 1;
+        if (expr[this.pos] === '[') {
+            segments.push({ descendant: descendant, selectors: this.parseBracket() });
+            continue;
+        }
+        if (!(match = /^(\*|[^\s.\[\]()=!<>&|,'"]+)/.exec(expr.slice(this.pos)))) this.fail();
+        this.pos += match[1].length;
+        segments.push({ descendant: descendant, selectors: [match[1] === '*' ? { wildcard: true } : { name: match[1] }] });
+    }
+    return segments;
+}
+
+// parse the comma-separated names, indexes, slices and wildcards, or the filter, in brackets
+JsonPath.prototype.parseBracket = function parseBracket( ) {
+    var selectors = new Array(), match;
+    this.pos += 1;
+    do {
+        this.skipSpace();
+        var rest = this.expr.slice(this.pos);
+        if (rest[0] === '?') {
+            this.pos += 1;
+            selectors.push({ filter: this.parseOr() });
+        }
+        else if (rest[0] === '*') {
+            this.pos += 1;
+            selectors.push({ wildcard: true });
+        }
+        else if (rest[0] === '"' || rest[0] === "'") selectors.push({ name: this.parseString() });
+        else if ((match = /^(-?\d*)\s*:\s*(-?\d*)\s*(?::\s*(-?\d*))?/.exec(rest)) && match[0].length) {
+            this.pos += match[0].length;
+            selectors.push({ slice: [match[1], match[2], match[3]].map(function(n) { return n ? Number(n) : null }) });
+        }
+        else if ((match = /^-?\d+/.exec(rest))) {
+            this.pos += match[0].length;
+            selectors.push({ index: Number(match[0]) });
+        }
+        else this.fail();
+        this.skipSpace();
+    } while (this.expr[this.pos] === ',' && ++this.pos);
+    if (this.expr[this.pos++] !== ']') this.fail();
+    return selectors;
+}
+
+// filter expressions are parsed into functions of the tested value and the root value
+JsonPath.prototype.parseOr = function parseOr( ) {
+    var left = this.parseAnd(), right;
+    while (this.skipSpace(), this.expr.slice(this.pos, this.pos + 2) === '||') {
+        this.pos += 2;
+        right = this.parseAnd();
+        left = (function(a, b) { return function(value, root) { return a(value, root) || b(value, root) } })(left, right);
+    }
+    return left;
+}
+
+JsonPath.prototype.parseAnd = function parseAnd( ) {
+    var left = this.parseComparison(), right;
+    while (this.skipSpace(), this.expr.slice(this.pos, this.pos + 2) === '&&') {
+        this.pos += 2;
+        right = this.parseComparison();
+        left = (function(a, b) { return function(value, root) { return a(value, root) && b(value, root) } })(left, right);
+    }
+    return left;
+}
+
+// a comparison, or a single operand that is true if a path exists or a literal is truthy
+JsonPath.prototype.parseComparison = function parseComparison( ) {
+    var left = this.parseOperand(), op, right, regex, match;
+    this.skipSpace();
+    if (!(match = /^(==|!=|<=|>=|<|>|=~)/.exec(this.expr.slice(this.pos)))) {
+        return function(value, root) { var result = left(value, root); return result.path ? result.found : !!result.value };
+    }
+    op = match[1];
+    this.pos += op.length;
+    this.skipSpace();
+    if (op === '=~') {
+        if (!(match = /^\/((?:\\.|[^\/\\])*)\/([a-z]*)/.exec(this.expr.slice(this.pos)))) this.fail();
+        this.pos += match[0].length;
+        regex = new RegExp(match[1], match[2]);
+        return function(value, root) { var a = left(value, root).value; return typeof a === 'string' && regex.test(a) };
+    }
+    right = this.parseOperand();
+    return function(value, root) { return compareValues(left(value, root).value, op, right(value, root).value) };
+}
+
+// operands are parsed into functions that return { value } or for paths { path, found, value }
+JsonPath.prototype.parseOperand = function parseOperand( ) {
+    var expr = this.expr, match, value, segments, isRoot, operand;
+    this.skipSpace();
+    switch (expr[this.pos]) {
+    case '(':
+        this.pos += 1;
+        operand = this.parseOr();
+        this.skipSpace();
+        if (expr[this.pos++] !== ')') this.fail();
+        return function(value, root) { return { value: operand(value, root) } };
+    case '!':
+        this.pos += 1;
+        operand = this.parseOperand();
+        return function(value, root) { var result = operand(value, root); return { value: result.path ? !result.found : !result.value } };
+    case '@': case '$':
+        isRoot = expr[this.pos++] === '$';
+        segments = this.parseSegments();
+        return function(value, root) {
+            var matches = runSegments(segments, isRoot ? root : value, root);
+            return { path: true, found: matches.length > 0, value: matches.length ? matches[0].value : undefined };
+        };
+    case '"': case "'":
+        value = this.parseString();
+        return function() { return { value: value } };
+    default:
+        if (!(match = /^(-?\d+(\.\d+)?([eE][-+]?\d+)?|true|false|null)/.exec(expr.slice(this.pos)))) this.fail();
+        this.pos += match[0].length;
+        value = JSON.parse(match[0]);
+        return function() { return { value: value } };
+    }
+}
+
+JsonPath.prototype.parseString = function parseString( ) {
+    var quote = this.expr[this.pos], end = this.pos + 1;
+    while (end < this.expr.length && this.expr[end] !== quote) end += this.expr[end] === '\\' ? 2 : 1;
+    if (end >= this.expr.length) this.fail();
+    var str = this.expr.slice(this.pos + 1, end).replace(/\\(.)/g, '$1');
+    this.pos = end + 1;
+    return str;
+}
+
+JsonPath.prototype.skipSpace = function skipSpace( ) {
+    while (this.expr[this.pos] === ' ') this.pos += 1;
+}
+
+JsonPath.prototype.fail = function fail( ) {
+    throw new Error('qyaml: invalid JSONPath "' + this.expr + '" at offset ' + this.pos);
+}
+
+// return the { path, value } of each value matched, in document order
+JsonPath.prototype.run = function run( value ) {
+    return runSegments(this.segments, value, value);
+}
+
+function runSegments( segments, value, root ) {
+    var nodes = [{ path: new Array(), value: value }], next, i, j;
+    for (i = 0; i < segments.length; i++) {
+        next = new Array();
+        for (j = 0; j < nodes.length; j++) {
+            if (segments[i].descendant) selectDescendants(nodes[j], segments[i].selectors, root, next, new Array());
+            else selectChildren(nodes[j], segments[i].selectors, root, next);
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+// apply the selectors to the node and to all the lists and hashes inside it
+function selectDescendants( node, selectors, root, matches, ancestors ) {
+    if (!Array.isArray(node.value) && !isHash(node.value) || ancestors.indexOf(node.value) >= 0) return;
+    selectChildren(node, selectors, root, matches);
+    ancestors.push(node.value);
+    for (var k in node.value) selectDescendants({ path: node.path.concat(k), value: node.value[k] }, selectors, root, matches, ancestors);
+    ancestors.pop();
+}
+
+function selectChildren( node, selectors, root, matches ) {
+    var value = node.value, isList = Array.isArray(value), sel, k, i, start, end, step;
+    if (!isList && !isHash(value)) return;
+    function match( key ) { matches.push({ path: node.path.concat(String(key)), value: value[key] }) }
+    for (var n = 0; n < selectors.length; n++) {
+        sel = selectors[n];
+        if (sel.name !== undefined && !isList && hasOwn(value, sel.name)) match(sel.name);
+        else if (sel.wildcard) for (k in value) match(k);
+        else if (sel.filter) for (k in value) { if (sel.filter(value[k], root)) match(k) }
+        else if (sel.index !== undefined && isList) {
+            i = sel.index < 0 ? value.length + sel.index : sel.index;
+            if (i >= 0 && i < value.length) match(i);
+        }
+        else if (sel.slice && isList) {
+            // python-style slices, negative indexes count from the end
+            step = sel.slice[2] === null ? 1 : sel.slice[2];
+            if (step === 0) continue;
+            start = sel.slice[0] === null ? (step > 0 ? 0 : value.length - 1) : sel.slice[0] < 0 ? value.length + sel.slice[0] : sel.slice[0];
+            end = sel.slice[1] === null ? (step > 0 ? value.length : -1) : sel.slice[1] < 0 ? value.length + sel.slice[1] : sel.slice[1];
+            if (step > 0) for (i = Math.max(start, 0); i < Math.min(end, value.length); i += step) match(i);
+            else for (i = Math.min(start, value.length - 1); i > Math.max(end, -1); i += step) match(i);
+        }
+    }
+}
+
+// filters compare numbers with numbers and strings with strings, and any values for equality
+function compareValues( a, op, b ) {
+    if (op === '==') return jsonEqual(a, b);
+    if (op === '!=') return !jsonEqual(a, b);
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) return false;
+    switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    }
+}
+
+
+/*
+ * RFC 6902 JSON Patch operations on a decoded value, or on the text of a YamlDocument.  Paths
+ * are JSON pointers, with "-" for the end of a list.
+ */
+function PatchEditor( target ) {
+    this.doc = target instanceof YamlDocument ? target : null;
+    this.value = this.doc ? undefined : target;
+}
+
+PatchEditor.prototype.apply = function apply( op, index ) {
+    var path = this.pointer(op, 'path', index), from, value;
+    switch (op.op) {
+    case 'add':
+        return this.add(path, deepCopy(op.value, makeRefMap()), op, index);
+    case 'remove':
+        this.mustExist(path, op, index);
+        return this.remove(path);
+    case 'replace':
+        this.mustExist(path, op, index);
+        return this.set(path, deepCopy(op.value, makeRefMap()));
+    case 'move':
+        from = this.pointer(op, 'from', index);
+        this.mustExist(from, op, index);
+        if (path.length > from.length && jsonEqual(path.slice(0, from.length), from)) this.fail(op, index, 'cannot move a value into itself');
+        value = this.get(from);
+        this.remove(from);
+        return this.add(path, value, op, index);
+    case 'copy':
+        from = this.pointer(op, 'from', index);
+        this.mustExist(from, op, index);
+        return this.add(path, deepCopy(this.get(from), makeRefMap()), op, index);
+    case 'test':
+        if (!hasPath(this.root(), path) || !jsonEqual(this.get(path), op.value)) this.fail(op, index, 'test failed');
+        return;
+    default:
+        this.fail(op, index, 'unknown operation');
+    }
+}
+
+// add the value to the hash, or insert it into the list before the index
+PatchEditor.prototype.add = function add( path, value, op, index ) {
+    if (!path.length) return this.set(path, value);
+    var parent = this.get(path.slice(0, -1)), key = path[path.length - 1];
+    if (!hasPath(this.root(), path.slice(0, -1)) || !Array.isArray(parent) && !isHash(parent)) this.fail(op, index, 'path not found');
+    if (!Array.isArray(parent)) return this.set(path, value);
+    if (key === '-') key = String(parent.length);
+    if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > parent.length) this.fail(op, index, 'invalid list index');
+    if (Number(key) === parent.length) return this.set(path.slice(0, -1).concat(key), value);
+    var list = this.doc ? parent.slice() : parent;
+    list.splice(Number(key), 0, value);
+    if (this.doc) this.set(path.slice(0, -1), list);
+}
+
+PatchEditor.prototype.get = function get( path ) {
+    return this.doc ? this.doc.get(path) : getPath(this.value, path);
+}
+
+PatchEditor.prototype.set = function set( path, value ) {
+    if (this.doc) this.doc.set(path, value);
+    else this.value = setPath(this.value, path, value);
+}
+
+PatchEditor.prototype.remove = function remove( path ) {
+    if (this.doc) this.doc.delete(path);
+    else if (!path.length) this.value = undefined;
+    else deleteValue(this.value, path);
+}
+
+PatchEditor.prototype.root = function root( ) {
+    return this.doc ? this.doc.value : this.value;
+}
+
+PatchEditor.prototype.pointer = function pointer( op, name, index ) {
+    if (!op || typeof op[name] !== 'string' || op[name] && op[name][0] !== '/') this.fail(op, index, 'invalid ' + name);
+    return parsePath(op[name]);
+}
+
+PatchEditor.prototype.mustExist = function mustExist( path, op, index ) {
+    if (!hasPath(this.root(), path)) this.fail(op, index, 'path not found');
+}
+
+PatchEditor.prototype.fail = function fail( op, index, message ) {
+    throw new Error(util.format('qyaml: patch operation %d (%s "%s"): %s', index, op && op.op, op && op.path, message));
+}
+
+// merge the merge patch into the value, and return the merged value
+function mergeValues( value, patch ) {
+    if (!isHash(patch)) return deepCopy(patch, makeRefMap());
+    if (!isHash(value)) value = {};
+    for (var k in patch) {
+        if (patch[k] === null) delete value[k];
+        else setProperty(value, k, mergeValues(hasOwn(value, k) ? value[k] : undefined, patch[k]));
+    }
+    return value;
+}
+
+// edit just the values in the document that the merge patch changes
+function mergeIntoDocument( doc, path, patch ) {
+    if (!isHash(patch) || !isHash(doc.get(path))) return doc.set(path, mergeValues(undefined, patch));
+    for (var k in patch) {
+        if (patch[k] === null) doc.delete(path.concat(k));
+        else if (isHash(patch[k]) && isHash(doc.get(path.concat(k)))) mergeIntoDocument(doc, path.concat(k), patch[k]);
+        else doc.set(path.concat(k), mergeValues(undefined, patch[k]));
+    }
+}
+
+
+/*
+ * Structural diff of two decoded values.  Hashes are compared property by property regardless
+ * of their order, lists element by element, and other values by value.  Each difference is
+ * noted as a change { op, path, oldValue, newValue, oldLine, newLine } with op 'add', 'remove'
+ * or 'change', the JSON pointer path of the value, and its line numbers if known.
+ */
+function YamlDiff( coder, from, to, forPatch ) {
+    this.coder = coder;
+    this.from = from;                   // { value, lineOf } of the old value
+    this.to = to;                       // { value, lineOf } of the new value
+    this.forPatch = forPatch;           // whether to note changes in an order that can be applied
+    this.changes = new Array();
+    this.ancestors = new Array();       // the [a, b] lists and hashes being compared
+}
+
+YamlDiff.prototype.compare = function compare( a, b, path ) {
+    var isList = Array.isArray(a) && Array.isArray(b), i, k;
+    if (!isList && !(isHash(a) && isHash(b))) {
+        if (!sameValue(this.coder, a, b)) this.note('change', path, a, b);
+        return;
+    }
+    // circular references are the same if they refer back to the same level on both sides
+    for (i = 0; i < this.ancestors.length; i++) {
+        if (this.ancestors[i][0] !== a && this.ancestors[i][1] !== b) continue;
+        if (this.ancestors[i][0] !== a || this.ancestors[i][1] !== b) this.note('change', path, a, b);
+        return;
+    }
+    this.ancestors.push([a, b]);
+    if (isList) {
+        for (i = 0; i < a.length && i < b.length; i++) this.compare(a[i], b[i], path.concat(i));
+        for (i = a.length; i < b.length; i++) this.note('add', path.concat(i), undefined, b[i]);
+        // a patch removes the last elements first, to not shift the ones still to be removed
+        if (this.forPatch) for (i = a.length - 1; i >= b.length; i--) this.note('remove', path.concat(i), a[i]);
+        else for (i = b.length; i < a.length; i++) this.note('remove', path.concat(i), a[i]);
+    }
+    else {
+        for (k in a) {
+            if (hasOwn(b, k)) this.compare(a[k], b[k], path.concat(k));
+            else this.note('remove', path.concat(k), a[k]);
+        }
+        for (k in b) if (!hasOwn(a, k)) this.note('add', path.concat(k), undefined, b[k]);
+    }
+    this.ancestors.pop();
+}
+
+YamlDiff.prototype.note = function note( op, path, oldValue, newValue ) {
+    var pointer = jsonPointer(path), change = { op: op, path: pointer }, line;
+    if (op !== 'add') {
+        change.oldValue = oldValue;
+        if ((line = this.from.lineOf(pointer)) !== undefined) change.oldLine = line;
+    }
+    if (op !== 'remove') {
+        change.newValue = newValue;
+        if ((line = this.to.lineOf(pointer)) !== undefined) change.newLine = line;
+    }
+    this.changes.push(change);
+}
+
+// format the changes as yaml marked like a unified diff, "-" for old and "+" for new lines,
+// with the hashes and lists containing them as context, eg
+//    db:
+//  -   port: 5432  # line 3
+//  +   port: 5433  # line 4
+YamlDiff.prototype.format = function format( ) {
+    var lines = new Array(), shown = new Array(), change, path, depth, name, parent;
+    for (var i = 0; i < this.changes.length; i++) {
+        change = this.changes[i];
+        path = parsePath(change.path);
+        // show the hashes and lists leading to the value, unless already shown for the previous change
+        for (depth = 0; depth < shown.length && depth < path.length - 1 && shown[depth] === path[depth]; depth++) ;
+        for (; depth < path.length - 1; depth++) {
+            name = path[depth];
+            parent = getPath(hasPath(this.to.value, path.slice(0, depth + 1)) ? this.to.value : this.from.value, path.slice(0, depth));
+            lines.push('  ' + this.indent(depth) + (Array.isArray(parent) ? '-  # [' + name + ']' : this.coder.encodeName(name) + ':'));
+        }
+        shown = path.slice(0, -1);
+        if (change.op !== 'add') this.formatValue(lines, '-', path, change.oldValue, change.oldLine);
+        if (change.op !== 'remove') this.formatValue(lines, '+', path, change.newValue, change.newLine);
+    }
+    return lines.length ? lines.join(this.coder.EOL) + this.coder.EOL : '';
+}
+
+// add the lines of the value, noting its list index and its line number on its first line
+YamlDiff.prototype.formatValue = function formatValue( lines, marker, path, value, line ) {
+    var name = path[path.length - 1], side = marker === '-' ? this.from : this.to, notes = new Array(), valueLines;
+    var inList = path.length > 0 && Array.isArray(getPath(side.value, path.slice(0, -1)));
+    if (!path.length && (Array.isArray(value) || isHash(value))) valueLines = this.coder.encode(value).slice(0, -this.coder.EOL.length).split(this.coder.EOL);
+    else if (!path.length) {
+        valueLines = this.coder.encodeEntryLines('', '', value);
+        valueLines[0] = valueLines[0].slice(1);
+    }
+    else valueLines = this.coder.encodeEntryLines(this.indent(path.length - 1), inList ? '-' : this.coder.encodeName(name) + ':', value);
+    if (inList) notes.push('[' + name + ']');
+    if (line !== undefined) notes.push('line ' + line);
+    if (notes.length) valueLines[0] += '  # ' + notes.join(', ');
+    for (var i = 0; i < valueLines.length; i++) lines.push(marker + ' ' + valueLines[i]);
+}
+
+YamlDiff.prototype.indent = function indent( depth ) {
+    return repeatString(' ', depth * this.coder.INDENT);
+}
+
+// simple values are the same if equal, values of registered types if they encode the same
+function sameValue( coder, a, b ) {
+    if (a === b || a !== a && b !== b) return true;
+    return isTypedValue(a) && isTypedValue(b) && coder.encode([a]) === coder.encode([b]);
+}
+
+
+// return the plain scalar resolver for the schema
+// Each returns the value of the plain scalar, or the string itself if it is just a string.
+function schemaResolver( schema ) {
+    switch (schema) {
+    case 'qyaml': return resolveQyaml;
+    case 'core': return resolveCore;
+    case 'yaml-1.1': return resolveYaml11;
+    case 'json': return resolveJson;
+    case 'failsafe': return resolveFailsafe;
+    }
+}
+
+// the original qyaml rules, which decode 'undefined' and anything Number() can parse
+function resolveQyaml( str ) {
+    switch (str) {
+    case 'null': case 'Null': case 'NULL': return null;
+    case 'true': case 'True': case 'TRUE': return true;
+    case 'false': case 'False': case 'FALSE' :return false;
+    case 'undefined': return undefined;     // decode, but is not encoded
+    case '.inf': case '.Inf': case '.INF': return Infinity;
+    case '+.inf': case '+.Inf': case '+.INF': return Infinity;
+    case '-.inf': case '-.Inf': case '-.INF': return -Infinity;
+    case '.nan': case '.Nan': case '.NaN': return NaN;
+    }
+    switch (str[0]) {
+    case '0': case '1': case '2': case '3': case '4':
+    case '5': case '6': case '7': case '8': case '9':
+    case '+': case '-': case '.': case 'I':
+        // if it can be converted to a number, is a number
+        // The numberText option keeps eg the "1.10" version or "0755" mode as written.
+        var num = Number(str);
+        // NOTE: 0x10 is converted to 16, 0o10 to 8 and 0b10 to 2, but 010 is 10 (not 8), and floats are always base 10
+        if (typeof num === 'number' && !isNaN(num)) return num;
+    }
+    // otherwise is a bareword
+    return str;
+}
+
+// the YAML 1.2 core schema
+function resolveCore( str ) {
+    switch (str) {
+    case 'null': case 'Null': case 'NULL': case '~': return null;
+    case 'true': case 'True': case 'TRUE': return true;
+    case 'false': case 'False': case 'FALSE': return false;
+    case '.inf': case '.Inf': case '.INF': case '+.inf': case '+.Inf': case '+.INF': return Infinity;
+    case '-.inf': case '-.Inf': case '-.INF': return -Infinity;
+    case '.nan': case '.NaN': case '.NAN': return NaN;
+    }
+    if (!/^[-+.0-9]/.test(str)) return str;
+    if (/^[-+]?[0-9]+$/.test(str)) return Number(str);
+    if (/^0o[0-7]+$/.test(str)) return parseInt(str.slice(2), 8);
+    if (/^0x[0-9a-fA-F]+$/.test(str)) return parseInt(str.slice(2), 16);
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(str)) return Number(str);
+    return str;
+}
+
+// the YAML 1.1 types: yes/no/on/off booleans, 0b binary, 0 octal, _ separators, base 60
+// The single-letter y/n booleans are not recognized, they are more often meant as strings.
+function resolveYaml11( str ) {
+    switch (str) {
+    case 'null': case 'Null': case 'NULL': case '~': return null;
+    case 'true': case 'True': case 'TRUE': case 'yes': case 'Yes': case 'YES': case 'on': case 'On': case 'ON': return true;
+    case 'false': case 'False': case 'FALSE': case 'no': case 'No': case 'NO': case 'off': case 'Off': case 'OFF': return false;
+    case '.inf': case '.Inf': case '.INF': case '+.inf': case '+.Inf': case '+.INF': return Infinity;
+    case '-.inf': case '-.Inf': case '-.INF': return -Infinity;
+    case '.nan': case '.NaN': case '.NAN': return NaN;
+    }
+    if (!/^[-+.0-9]/.test(str)) return str;
+    var sign = str[0] === '-' ? -1 : 1, digits = str.replace(/^[-+]/, '').replace(/_/g, '');
+    if (/^[-+]?0b[01_]+$/.test(str)) return sign * parseInt(digits.slice(2), 2);
+    if (/^[-+]?0x[0-9a-fA-F_]+$/.test(str)) return sign * parseInt(digits.slice(2), 16);
+    if (/^[-+]?0[0-7_]+$/.test(str)) return sign * parseInt(digits, 8);
+    if (/^[-+]?(0|[1-9][0-9_]*)$/.test(str)) return sign * parseInt(digits, 10);
+    if (/^[-+]?[0-9][0-9_]*(:[0-5]?[0-9])+(\.[0-9_]*)?$/.test(str)) return sign * parseBase60(digits);
+    if (/^[-+]?([0-9][0-9_]*)?\.[0-9_]*([eE][-+][0-9]+)?$/.test(str) && /[0-9]/.test(str)) return sign * Number(digits);
+    return str;
+}
+
+// the YAML 1.2 json schema, with only json-compatible null, booleans and numbers
+function resolveJson( str ) {
+    switch (str) {
+    case 'null': return null;
+    case 'true': return true;
+    case 'false': return false;
+    }
+    if (/^-?(0|[1-9][0-9]*)(\.[0-9]*)?([eE][-+]?[0-9]+)?$/.test(str)) return Number(str);
+    return str;
+}
+
+// the YAML failsafe schema, all scalars are strings
+function resolveFailsafe( str ) {
+    return str;
+}
+
+// wrap the schema resolver to decode the integers too large to be exact numbers as BigInts
+// Hex, octal and binary integers keep their base, leading zeros are octal only in yaml-1.1.
+function bigintResolver( resolve, schema ) {
+    return function( str ) {
+        var value = resolve(str), match;
+        if (typeof value !== 'number' || value % 1 !== 0 || Math.abs(value) < 9007199254740992) return value;
+        if (!(match = /^([-+]?)(0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|[0-9][0-9_]*)$/.exec(str))) return value;
+        var digits = match[2].replace(/_/g, '');
+        if (schema === 'yaml-1.1' && /^0[0-7]+$/.test(digits)) digits = '0o' + digits.slice(1);
+        return match[1] === '-' ? -BigInt(digits) : BigInt(digits);
+    };
+}
+
+// convert the sexagesimal "190:20:30.15" to a number
+function parseBase60( str ) {
+    var parts = str.split(':'), value = 0;
+    for (var i = 0; i < parts.length; i++) value = value * 60 + Number(parts[i]);
+    return value;
+}
+
+// "---" starts and "..." ends a document
+function isDocumentMarker( line ) {
+    return (line[0] === '-' || line[0] === '.') && /^(---|\.\.\.)(\s|$)/.test(line);
+}
+
+// return the offset of the quote that closes the string starting at offset start, or -1 if not closed
+function findClosingQuote( str, start ) {
+    var quote = str[start];
+    for (var i = start + 1; i < str.length; i++) {
+        if (str[i] === '\\' && quote === '"') i++;
+        else if (str[i] === quote) {
+            if (quote === "'" && str[i + 1] === "'") i++;
+            else return i;
+        }
+    }
+    return -1;
+}
+
+// note whether the line leaves a quoted string or flow collection open, or starts a block scalar,
+// and return the offset of the comment on the line, or -1 if none
+// Quotes, flow collections and block scalars start only where a value can, eg after "- " or ": ",
+// and the more indented lines following a block scalar indicator are its text.
+function scanOpenValue( open, line ) {
+    var indent = line.search(/\S/), start = true, ch;
+    if (open.blockIndent >= 0 && (indent < 0 || indent > open.blockIndent)) return -1;
+    open.blockIndent = -1;
+    for (var i = 0; i < line.length; i++) {
+        ch = line[i];
+        if (open.quote) {
+            if (ch === '\\' && open.quote === '"') i++;
+            else if (ch === open.quote && open.quote === "'" && line[i + 1] === "'") i++;
+            else if (ch === open.quote) open.quote = '', start = false;
+        }
+        else if (ch === ' ' || ch === '\t') {
+            if (/[-?:]/.test(line[i - 1]) && (!open.depth || line[i - 1] === ':')) start = true;
+        }
+        else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) return i;
+        else if (start && (ch === '"' || ch === "'")) open.quote = ch;
+        else if ((start || open.depth) && (ch === '[' || ch === '{')) open.depth += 1, start = true;
+        else if (open.depth && (ch === ']' || ch === '}')) open.depth -= 1, start = false;
+        else if (open.depth && (ch === ',' || ch === ':')) start = true;
+        else if (start && (ch === '&' || ch === '!')) while (i + 1 < line.length && !/\s/.test(line[i + 1])) i++;
+        else if (start && !open.depth && (ch === '|' || ch === '>')) open.blockIndent = indent, start = false;
+        else start = false;
+    }
+    return -1;
+}
+
+// the line number and text of the first comment in the yaml, or null if none
+function findComment( str ) {
+    var lines = str.split('\n'), open = { quote: '', depth: 0, blockIndent: -1 }, offset;
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i][0] === '%' && !open.quote && !open.depth) continue;
+        if ((offset = scanOpenValue(open, lines[i])) >= 0) return { line: i + 1, text: lines[i].slice(offset).trim() };
+    }
+    return null;
+}
+
+// multi-line strings without control chars can be written as block scalars
+// single-line strings can be folded at single spaces, if they need no escapes
+function isFoldable( str ) {
+    return typeof str === 'string' && /\S \S/.test(str) && !/^\s|\s$|[\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str);
+}
+
+function isBlockString( str ) {
+    return typeof str === 'string' && str.indexOf('\n') >= 0 && /\S/.test(str) &&
+        !/[\x00-\x08\x0b-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str);
+}
+
+// join the lines of a folded block scalar
+// Adjacent text lines are joined with a space, empty lines become newlines, and the
+// line breaks around more-indented lines are kept.
+function foldLines( lines ) {
+    var str = '', breaks = 0, wasText = false, isText;
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i] === '') { breaks += 1; continue; }
+        isText = !/^[ \t]/.test(lines[i]);
+        if (i > breaks) str += (wasText && isText) ? (breaks ? repeatString('\n', breaks) : ' ') : repeatString('\n', breaks + 1);
+        else str += repeatString('\n', breaks);
+        str += lines[i];
+        breaks = 0;
+        wasText = isText;
+    }
+    return str;
+}
+
+function repeatString( str, n ) {
+    return n > 0 ? new Array(n + 1).join(str) : '';
+}
+
+// only objects other than lists and hashes, and BigInts, are checked for registered types
+function isTypedValue( value ) {
+    return (typeof value === 'object' && value !== null || typeof value === 'bigint') && !Array.isArray(value) && !isHash(value);
+}
+
+// expand the "!!" shorthand for yaml.org tags and unwrap verbatim "!<...>" tags
+function normalizeTag( tag ) {
+    if (tag[1] === '!') return 'tag:yaml.org,2002:' + tag.slice(2);
+    if (tag[1] === '<' && tag[tag.length - 1] === '>') return tag.slice(2, -1);
+    return tag;
+}
+
+function checkType( type ) {
+    if (!type || typeof type.tag !== 'string' || type.tag[0] !== '!') throw new Error('qyaml: type tag must start with "!"');
+    if (typeof type.decode !== 'function') throw new Error('qyaml: type ' + type.tag + ': decode must be a function');
+    if (type.test && typeof type.encode !== 'function') throw new Error('qyaml: type ' + type.tag + ': encode must be a function');
+    return type;
+}
+
+// the built-in types: the yaml standard tags, and javascript classes that have a yaml representation
+// Each type has a tag, a decode(data) function, and for encoding a test(value) predicate and an
+// encode(value) function that returns a string, list or hash.
+function makeBuiltinTypes( ) {
+    return [
+        { tag: '!!str', decode: function(data) {
+            if (data === null) return '';
+            if (typeof data === 'object') throw new Error('not a scalar');
+            return String(data) } },
+        { tag: '!!null', decode: function(data) {
+            if (data === null || /^(~|null|Null|NULL)$/.test(data)) return null;
+            throw new Error(typeof data === 'object' ? 'not null' : 'not null "' + data + '"') } },
+        { tag: '!!bool', decode: function(data) { return checkTypeof(resolveYaml11(String(data)), 'boolean', data) } },
+        { tag: '!!int', decode: function(data) {
+            var value = resolveCore(String(data));
+            if (typeof value !== 'number' || value % 1 !== 0) value = resolveYaml11(String(data));
+            if (typeof value !== 'number' || value % 1 !== 0) throw new Error('not an integer "' + data + '"');
+            return value } },
+        { tag: '!!float', decode: function(data) { return checkTypeof(resolveCore(String(data)), 'number', data) } },
+        { tag: '!!seq', decode: function(data) { if (!Array.isArray(data)) throw new Error('not a list'); return data } },
+        { tag: '!!map', decode: function(data) { if (!isMapping(data)) throw new Error('not a hash'); return data } },
+        { tag: '!!timestamp',
+          test: function(value) { return value instanceof Date },
+          encode: function(value) { return value.toJSON() },
+          decode: function(data) { return parseTimestamp(String(data)) } },
+        { tag: '!!binary',
+          test: function(value) { return typeof Buffer === 'function' && Buffer.isBuffer(value) },
+          encode: function(value) { return value.toString('base64') },
+          decode: function(data) {
+            if (typeof data !== 'string' || !/^[A-Za-z0-9+\/=\s]*$/.test(data)) throw new Error('not base64');
+            return Buffer.from ? Buffer.from(data, 'base64') : new Buffer(data, 'base64') } },
+        { tag: '!!set',
+          test: function(value) { return typeof Set === 'function' && value instanceof Set },
+          encode: function(value) { var hash = {}; value.forEach(function(key) { hash[String(key)] = null }); return hash },
+          decode: function(data) {
+            if (!isMapping(data)) throw new Error('not a hash');
+            var set = new Set();
+            if (data instanceof Map) data.forEach(function(v, k) { set.add(k) });
+            else for (var k in data) set.add(k);
+            return set } },
+        { tag: '!!omap',
+          test: function(value) { return typeof Map === 'function' && value instanceof Map },
+          encode: function(value) {
+            var list = new Array();
+            value.forEach(function(v, k) { var pair = {}; pair[String(k)] = v; list.push(pair) });
+            return list },
+          decode: function(data) {
+            if (!Array.isArray(data)) throw new Error('not a list');
+            var map = new Map();
+            for (var i = 0; i < data.length; i++) {
+                if (!isMapping(data[i]) || mappingSize(data[i]) !== 1) throw new Error('not a single-pair hash');
+                if (data[i] instanceof Map) data[i].forEach(function(v, k) { map.set(k, v) });
+                else for (var k in data[i]) map.set(k, data[i][k]);
+            }
+            return map } },
+        { tag: '!regexp',
+          test: function(value) { return value instanceof RegExp },
+          encode: function(value) { return String(value) },
+          decode: function(data) {
+            var match = /^\/(.*)\/([a-z]*)$/.exec(String(data));
+            return match ? new RegExp(match[1], match[2]) : new RegExp(String(data)) } },
+        { tag: '!bigint',
+          test: function(value) { return typeof value === 'bigint' },
+          encode: function(value) { return String(value) },
+          decode: function(data) { return BigInt(String(data)) } },
+    ];
+}
+
+function checkTypeof( value, type, data ) {
+    if (typeof value !== type) throw new Error('not a ' + type + ' "' + data + '"');
+    return value;
+}
+
+// parse a yaml timestamp, "2001-12-14", "2001-12-14T21:59:43.10Z" or "2001-12-14 21:59:43.10 -5"
+// Timestamps without a time zone are UTC.
+function parseTimestamp( str ) {
+    var match = /^(\d{4})-(\d\d?)-(\d\d?)(?:(?:[Tt]|[ \t]+)(\d\d?):(\d\d):(\d\d)(?:\.(\d*))?[ \t]*(Z|[-+]\d\d?(?::?\d\d)?)?)?$/.exec(str);
+    if (!match) throw new Error('not a timestamp "' + str + '"');
+    var ms = match[7] ? Math.round(Number('0.' + match[7]) * 1000) : 0;
+    var time = Date.UTC(+match[1], match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0), ms);
+    var zone = match[8] && /^([-+])(\d\d?):?(\d\d)?$/.exec(match[8]);
+    if (zone) time -= (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3] || 0)) * 60000;
+    return new Date(time);
+}
+
+// map from objects to values, using Map where available
+function makeRefMap( ) {
+    if (typeof Map === 'function') return new Map();
+    var keys = new Array(), values = new Array();
+    return {
+        size: 0,
+        get: function(key) { var ix = keys.indexOf(key); return ix < 0 ? undefined : values[ix] },
+        set: function(key, value) {
+            var ix = keys.indexOf(key);
+            if (ix < 0) { keys.push(key); values.push(value); this.size += 1 } else values[ix] = value;
+            return this;
+        },
+    };
+}
+
+// copy the properties of the hash that precede the named property
+function copyPropertiesBefore( hash, name ) {
+    var copy = {};
+    for (var k in hash) {
+        if (k === name) break;
+        setProperty(copy, k, hash[k]);
+    }
+    return copy;
+}
+
+// the property names allowed by a JSON.stringify replacer array, in order, without duplicates
+function replacerKeys( replacer ) {
+    var keys = new Array(), k;
+    for (var i = 0; i < replacer.length; i++) {
+        k = replacer[i];
+        if (typeof k === 'number' || k instanceof Number || k instanceof String) k = String(k);
+        if (typeof k === 'string' && keys.indexOf(k) < 0) keys.push(k);
+    }
+    return keys;
+}
+
+// call the reviver on each value contained in holder[key] bottom-up, like JSON.parse, with
+// this set to the containing list or hash and the path of names and indexes to the value.
+// Values revived to undefined are deleted.  Shared and circular references are revived only once.
+function reviveValues( holder, key, reviver, path, seen ) {
+    var value = holder[key], revived;
+    if ((Array.isArray(value) || isHash(value)) && !seen.get(value)) {
+        seen.set(value, true);
+        for (var k in value) {
+            path.push(Array.isArray(value) ? Number(k) : k);
+            revived = reviveValues(value, k, reviver, path, seen);
+            path.pop();
+            if (revived === undefined) delete value[k];
+            else value[k] = revived;
+        }
+    }
+    return reviver.call(holder, key, value, path.slice());
+}
+
+// count how many times each list and hash occurs in the object
+function countReferences( item, refs ) {
+    if (!Array.isArray(item) && !isHash(item)) return refs;
+    var count = refs.get(item) || 0;
+    refs.set(item, count + 1);
+    if (count === 0) for (var k in item) countReferences(item[k], refs);
+    return refs;
+}
+
+// count the values contained in the item, but stop once the count exceeds the limit
+// Recursive references back to a containing object are counted only once.
+function countNodes( item, path, limit ) {
+    if (!Array.isArray(item) && !isHash(item)) return 1;
+    if (path.indexOf(item) >= 0) return 1;
+    var count = 1;
+    path.push(item);
+    for (var k in item) {
+        count += countNodes(item[k], path, limit - count);
+        if (count > limit) break;
+    }
+    path.pop();
+    return count;
+}
+
+// copy the lists and hashes contained in the item, preserving shared and circular references
+function deepCopy( item, copies ) {
+    if (!Array.isArray(item) && !isHash(item)) return item;
+    if (copies.get(item)) return copies.get(item);
+    var copy = Array.isArray(item) ? new Array() : {};
+    copies.set(item, copy);
+    for (var k in item) setProperty(copy, k, deepCopy(item[k], copies));
+    return copy;
+}
+
+// the style of a value as written in the source, from the text following the name or dash
+function valueStyle( valueString ) {
+    switch (valueString[valueProperties(valueString).length]) {
+    case undefined: return 'block';
+    case '"': return 'double';
+    case "'": return 'single';
+    case '[': case '{': return 'flow';
+    case '|': case '>': return 'literal';
+    default: return 'plain';
+    }
+}
+
+// the &anchor and !tag properties, and the space after them, that the value text starts with
+function valueProperties( valueString ) {
+    return /^([&!][^\s\[\]{},]*(\s+|$))*/.exec(valueString || '')[0];
+}
+
+// the yaml tags that can be written before any value of their kind
+var standardTagRegex = /^tag:yaml\.org,2002:(str|int|float|bool|null|seq|map)$/;
+
+// whether the values are both lists, both hashes, or both simple values of the same type
+function sameKind( a, b ) {
+    if (Array.isArray(a) || Array.isArray(b)) return Array.isArray(a) && Array.isArray(b);
+    if (isHash(a) || isHash(b)) return isHash(a) && isHash(b);
+    return typeof a === typeof b && (a === null) === (b === null);
+}
+
+// the 1-based line and column range of the text between offsets start and end in the flow text
+function flowRange( state, start, end ) {
+    while (end > start && /\s/.test(state.str[end - 1])) end--;
+    return { line: flowLine(state, start), column: flowColumn(state, start) + 1, endLine: flowLine(state, end - 1), endColumn: flowColumn(state, end - 1) + 1 };
+}
+function flowLine( state, pos ) {
+    for (var line = state.line, i = state.str.indexOf('\n'); i >= 0 && i < pos; i = state.str.indexOf('\n', i + 1)) line++;
+    return line;
+}
+function flowColumn( state, pos ) {
+    var lineStart = state.str.lastIndexOf('\n', pos - 1) + 1;
+    return lineStart > 0 ? pos - lineStart : state.column + pos;
+}
+
+// the RFC 6901 JSON pointer to the value at the path, eg "/a/0/b"
+function jsonPointer( path ) {
+    var pointer = '';
+    for (var i = 0; i < path.length; i++) pointer += '/' + String(path[i]).replace(/~/g, '~0').replace(/\//g, '~1');
+    return pointer;
+}
+
+// convert a path to an array of names and indexes, from a JSON pointer "/a/0/b", a dotted "a.0.b", or an array
+function parsePath( path ) {
+    if (Array.isArray(path)) return path.slice();
+    if (typeof path === 'number') return [path];
+    path = String(path);
+    if (path === '') return [];
+    if (path[0] !== '/') return parseDottedPath(path);
+    return path.slice(1).split('/').map(function(name) { return name.replace(/~1/g, '/').replace(/~0/g, '~') });
+}
+
+// yaml line breaks are \n, \r\n or a lone \r, and each document may start with a byte order mark
+function normalizeLineBreaks( str ) {
+    str = String(str);
+    if (str.indexOf('\r') >= 0) str = str.replace(/\r\n?/g, '\n');
+    if (str.indexOf('\uFEFF') >= 0) str = str.replace(/^\uFEFF/gm, '');
+    return str;
+}
+
+// split the dotted path into its names, with list indexes and quoted names also in brackets, eg a.b[0]["c.d"]
+var dottedPathRegex = /\.?([^.\[\]]+)|\[(\d+)\]|\[(["'])((?:\\.|(?!\3)[^\\])*)\3\]/g;
+function parseDottedPath( path ) {
+    var names = new Array(), match;
+    for (var pos = 0; pos < path.length; pos = dottedPathRegex.lastIndex) {
+        dottedPathRegex.lastIndex = pos;
+        if (!(match = dottedPathRegex.exec(path)) || match.index !== pos) throw new Error('qyaml: invalid path "' + path + '"');
+        names.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[4].replace(/\\(.)/g, '$1'));
+    }
+    return names;
+}
+
+// whether the path matches one of the patterns, in which a "*" name matches any name or index
+function matchesAnyPath( patterns, path ) {
+    for (var i = 0; i < patterns.length; i++) {
+        var pattern = patterns[i], j;
+        if (pattern.length !== path.length) continue;
+        for (j = 0; j < path.length && (pattern[j] === '*' || String(pattern[j]) === String(path[j])); j++) ;
+        if (j === path.length) return true;
+    }
+    return false;
+}
+
+function getPath( value, path ) {
+    for (var i = 0; i < path.length; i++) {
+        if (!hasOwn(value, path[i])) return undefined;
+        value = value[path[i]];
+    }
+    return value;
+}
+
+function hasPath( value, path ) {
+    return !path.length || hasOwn(getPath(value, path.slice(0, -1)), path[path.length - 1]);
+}
+
+// whether the file path is in the directory or below it
+function isInside( dir, file ) {
+    var relative = path.relative(dir, file);
+    return !/^\.\.([\/\\]|$)/.test(relative) && path.resolve(relative) !== relative;
+}
+
+function hasOwn( obj, name ) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, name);
+}
+
+// new entries appended to block lists must extend the list, those added to hashes can have any name
+function canAppend( container, key ) {
+    return Array.isArray(container) ? String(key) === String(container.length) : isHash(container);
+}
+
+// build the hashes containing the value at the path
+function makeNested( path, value ) {
+    for (var i = path.length - 1; i >= 0; i--) {
+        var hash = {};
+        setProperty(hash, path[i], value);
+        value = hash;
+    }
+    return value;
+}
+
+// set the value at the path in the object, and return the object
+// Values along the path that are not lists or hashes are replaced by hashes.
+function setPath( obj, path, value ) {
+    if (!path.length) return value;
+    if (!Array.isArray(obj) && !isHash(obj)) obj = {};
+    setProperty(obj, path[0], setPath(hasOwn(obj, path[0]) ? obj[path[0]] : undefined, path.slice(1), value));
+    return obj;
+}
+
+// delete the value at the path in the object, and return the object
+// List elements are spliced out, shifting the elements after them.
+function deleteValue( obj, path ) {
+    var container = obj;
+    for (var i = 0; i < path.length - 1; i++) container = container[path[i]];
+    if (Array.isArray(container)) container.splice(Number(path[i]), 1);
+    else delete container[path[i]];
+    return obj;
+}
+
+function spliceArray( array, start, count, items ) {
+    array.splice.apply(array, [start, count].concat(items));
+}
+
+// polyfill for Object.assign (missing from node-v0.10)
+function objectAssign( target /*, VARARGS */ ) {
+    for (var ix = 1; ix < arguments.length; ix++) {
+        for (var k in arguments[ix]) target[k] = arguments[ix][k];
+    }
+    return target;
+}
+
+/*
+ * The lines of yaml still to be decoded.  Consuming lines advances a read position instead
+ * of shifting the array, which is linear in the array length and too slow on huge inputs.
+ */
+function LineQueue( lines ) {
+    this.lines = lines;
+    this.pos = 0;
+    this.length = lines.length;
+}
+LineQueue.prototype.peek = function peek( i ) {
+    return i < this.length ? this.lines[this.pos + i] : undefined;
+}
+LineQueue.prototype.shift = function shift( ) {
+    if (this.length <= 0) return undefined;
+    this.length -= 1;
+    return this.lines[this.pos++];
+}
+LineQueue.prototype.skip = function skip( n ) {
+    this.pos += n;
+    this.length -= n;
+}
+
+// the offset of the ": " (or colon-tab) or final ":" that ends the property name, not counting colons in a quoted name
+function findNameEnd( line ) {
+    var start = (line[0] === '"' || line[0] === "'") ? findClosingQuote(line, 0) + 1 : 0;
+    var nameEnd = line.indexOf(':', start);
+    while (nameEnd >= 0 && nameEnd < line.length - 1 && line[nameEnd + 1] !== ' ' && line[nameEnd + 1] !== '\t') nameEnd = line.indexOf(':', nameEnd + 1);
+    return nameEnd;
+}
+
+// plain objects are hashes, even those with an own "constructor" property
 function isHash( obj ) {
-    return obj && obj.constructor === Object;
+    if (!obj || typeof obj !== 'object') return false;
+    var proto = Object.getPrototypeOf(obj);
+    return proto === Object.prototype || proto === null;
+}
+
+// decoded hashes are objects, or Maps with the maps option
+function isMapping( obj ) {
+    return isHash(obj) || typeof Map === 'function' && obj instanceof Map;
+}
+
+function mappingSize( obj ) {
+    return obj instanceof Map ? obj.size : Object.keys(obj).length;
+}
+
+// set the property, including a "__proto__" property that assignment would take to be the prototype
+function setProperty( obj, name, value ) {
+    if (name === '__proto__') Object.defineProperty(obj, name, { value: value, writable: true, enumerable: true, configurable: true });
+    else obj[name] = value;
+}
+
+function emitWarning( err ) {
+    if (process.emitWarning) process.emitWarning(err.message, 'QyamlWarning', err.code);
+    else console.warn(err.message);
+}
+
+function isEmptyHash( obj ) {
+    for (var k in obj) if (obj[k] !== undefined) return false;
+    return true;
 }
 
 Qyaml.prototype = toStruct(Qyaml.prototype);
+YamlDocument.prototype = toStruct(YamlDocument.prototype);
+LineQueue.prototype = toStruct(LineQueue.prototype);
+StreamDecoder.prototype = toStruct(StreamDecoder.prototype);
+StreamEncoder.prototype = toStruct(StreamEncoder.prototype);
+SchemaValidator.prototype = toStruct(SchemaValidator.prototype);
+ConfigLoader.prototype = toStruct(ConfigLoader.prototype);
+JsonPath.prototype = toStruct(JsonPath.prototype);
+PatchEditor.prototype = toStruct(PatchEditor.prototype);
+YamlDiff.prototype = toStruct(YamlDiff.prototype);
 function toStruct(hash) { return (toStruct.prototype = hash) }
@@ -71,130 +71,1758 @@ module.exports = {
                 '  - 4',
                 '  - 5',
                 '  -',
-// FIXME: d: should not be inside c: (de-indent should terminate the array)
-//                'd:',
-//                '  d2:',
-//                '  - 6',
-//                '  - 7',
+                'd:',
+                '  d2:',
+                '  - 6',
+                '  - 7',
             ].join('\n') + '\n';
 
             var obj = qyaml.decode(yaml);
-            t.deepStrictEqual(obj, { a: 1, b: [ 2, 3 ], c: [ 4, 5, {} ] });
-//console.log("AR: got", obj);
-//            t.deepStrictEqual(obj, { a: 1, b: [ 2, 3 ], c: [ 4, 5, {} ], d: { d2: [ 6, 7 ] } });
+            t.deepStrictEqual(obj, { a: 1, b: [ 2, 3 ], c: [ 4, 5, {} ], d: { d2: [ 6, 7 ] } });
             t.done();
         },
 
+        'keys': {
+            'should decode quoted names containing colons': function(t) {
+                t.deepEqual(qyaml.decode('"a: b": 1\n\'c: d\'\'e\': 2\n"f\\": g": 3\nh: "i: j"\n"k":\n  l: 4'),
+                    { 'a: b': 1, "c: d'e": 2, 'f": g': 3, h: 'i: j', k: { l: 4 } });
+                t.done();
+            },
+
+            'should decode explicit keys': function(t) {
+                var obj = qyaml.decode('? a\n: 1\n? |\n  multi\n  line\n:\n  b: 2\n? "c" # comment\n\n# comment\n: [3]\n? d\ne: 4\n? 5\n: x\n');
+                t.deepEqual(obj, { a: 1, 'multi\nline\n': { b: 2 }, c: [3], d: null, e: 4, 5: 'x' });
+                t.throws(function(){ qyaml.decode('- 1\n? a\n') }, /line 2: unexpected trailing lines/);
+                t.done();
+            },
+
+            'should decode list and hash keys into Maps': function(t) {
+                var coder = qyaml.defaults({ maps: true });
+                var map = coder.decode('? [1, 2]\n: a\n? {b: 1}\n: c\n? 3\n: d\n? 0x10\n: e\nf: {[4]: g}\n');
+                var keys = Array.from(map.keys());
+                t.deepEqual(keys[0], [1, 2]);
+                t.deepEqual(Array.from(keys[1].entries()), [['b', 1]]);
+                t.deepEqual(keys.slice(2), [3, 16, 'f']);
+                t.deepEqual(Array.from(map.get('f').keys()), [[4]]);
+                try { qyaml.decode('? [1]\n: 2'); t.fail() }
+                catch (err) { t.contains(err, { code: 'BAD_KEY', line: 1 }) }
+                t.done();
+            },
+
+            'should locate explicit keys': function(t) {
+                var locations = qyaml.decodeWithLocations('a: 1\n? |\n  k\n:  2\n').locations;
+                t.deepEqual(locations['/k\n'], { key: { line: 2, column: 3, endLine: 3, endColumn: 3 }, value: { line: 4, column: 4, endLine: 4, endColumn: 4 } });
+                var doc = qyaml.parseDocument('? a\n: 1\nb: 2\n');
+                doc.set('a', 3);
+                t.equal(doc.toString(), '? a\n: 3\nb: 2\n');
+                doc.delete('a');
+                t.equal(doc.toString(), 'b: 2\n');
+                t.done();
+            },
+        },
+
+        'flow collections': {
+            'should decode flow lists and hashes': function(t) {
+                var yaml = [
+                    'ports: [80, 443]',
+                    'labels: {app: web, tier: "front, end"}',
+                    'empty: [ ]',
+                    'none: {}',
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { ports: [80, 443], labels: { app: 'web', tier: 'front, end' }, empty: [], none: {} });
+                t.done();
+            },
+
+            'should decode nested flow collections': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: [1, [2, 3], {b: [4]}, {}]'), { a: [1, [2, 3], { b: [4] }, {}] });
+                t.deepStrictEqual(qyaml.decode('- {a: 1, b: {c: null}}\n- [x, y]'), [{ a: 1, b: { c: null } }, ['x', 'y']]);
+                t.done();
+            },
+
+            'should decode flow collections that span lines': function(t) {
+                var yaml = [
+                    'a: [1,',
+                    '  # comment',
+                    '  two',
+                    '    words, {b: 3,',
+                    '  c: 4}',
+                    '] # done',
+                    'd: 5',
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { a: [1, 'two words', { b: 3, c: 4 }], d: 5 });
+                t.done();
+            },
+
+            'should decode a top-level flow collection': function(t) {
+                t.deepStrictEqual(qyaml.decode('[1, 2]\n'), [1, 2]);
+                t.deepStrictEqual(qyaml.decode('# comment\n{a: 1}'), { a: 1 });
+                t.deepStrictEqual(qyaml.decode('a:\n  [1, 2]\n'), { a: [1, 2] });
+                t.done();
+            },
+
+            'should decode flow entry edge cases': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: [1, 2, ]'), { a: [1, 2] });
+                t.deepStrictEqual(qyaml.decode('a: {b, c: , d: x}'), { a: { b: null, c: null, d: 'x' } });
+                t.deepStrictEqual(qyaml.decode('a: [b: 1, c]'), { a: [{ b: 1 }, 'c'] });
+                t.deepStrictEqual(qyaml.decode('a: {"b: c": 1, 2: two, http://x: y}'), { a: { 'b: c': 1, '2': 'two', 'http://x': 'y' } });
+                t.done();
+            },
+
+            'errors': {
+                'unterminated flow collection': function(t) {
+                    t.throws(function(){ qyaml.decode('a: [1, 2\nb: 3') }, /line 1: .*unterminated flow/);
+                    t.done();
+                },
+
+                'missing separator': function(t) {
+                    t.throws(function(){ qyaml.decode('a: {b: 1 c: 2}') }, /expected "," or "}"/);
+                    t.throws(function(){ qyaml.decode('a: [[1] 2]') }, /expected "," or "]"/);
+                    t.done();
+                },
+
+                'trailing text': function(t) {
+                    t.throws(function(){ qyaml.decode('a: [1] 2') }, /unexpected text after flow/);
+                    t.done();
+                },
+
+                'collection as name': function(t) {
+                    t.throws(function(){ qyaml.decode('a: {[1]: 2}') }, /not allowed as property name/);
+                    t.done();
+                },
+            },
+        },
+
+        'block scalars': {
+            'should decode literal blocks': function(t) {
+                var yaml = [
+                    'script: |',
+                    '  #!/bin/sh',
+                    '    echo "hi: there" # not a comment',
+                    '',
+                    '  exit',
+                    '',
+                    'next: 1',
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { script: '#!/bin/sh\n  echo "hi: there" # not a comment\n\nexit\n', next: 1 });
+                t.done();
+            },
+
+            'should decode folded blocks': function(t) {
+                var yaml = [
+                    'a: >',
+                    '  one',
+                    '  two',
+                    '',
+                    '  three',
+                    '    indented',
+                    '  four',
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { a: 'one two\nthree\n  indented\nfour\n' });
+                t.done();
+            },
+
+            'should apply chomping indicators': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: |-\n  x\n\nb: 1'), { a: 'x', b: 1 });
+                t.deepStrictEqual(qyaml.decode('a: |\n  x\n\nb: 1'), { a: 'x\n', b: 1 });
+                t.deepStrictEqual(qyaml.decode('a: |+\n  x\n\nb: 1'), { a: 'x\n\n', b: 1 });
+                t.deepStrictEqual(qyaml.decode('a: >+\n  x\n  y\n\n'), { a: 'x y\n\n' });
+                t.deepStrictEqual(qyaml.decode('a: >- # comment\n  x\n  y\n'), { a: 'x y' });
+                t.done();
+            },
+
+            'should apply the indentation indicator': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: |2\n     x\n    y\n'), { a: '   x\n  y\n' });
+                t.deepStrictEqual(qyaml.decode('a: |1-\n  x\n'), { a: ' x' });
+                t.deepStrictEqual(qyaml.decode('- |-2\n    x\n- y'), ['  x', 'y']);
+                t.done();
+            },
+
+            'should decode empty blocks': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: |\nb: >\n'), { a: '', b: '' });
+                t.done();
+            },
+
+            'should reject invalid block headers': function(t) {
+                t.throws(function(){ qyaml.decode('a: |x\n  b\n') }, /line 1: invalid block scalar header/);
+                t.throws(function(){ qyaml.decode('a: |0\n  b\n') }, /invalid block scalar header/);
+                t.done();
+            },
+        },
+
+        'quoted strings': {
+            'should decode single-quoted strings': function(t) {
+                t.deepStrictEqual(qyaml.decode("a: 'it''s here'\nb: ''\nc: '\\n' # comment"), { a: "it's here", b: '', c: '\\n' });
+                t.deepStrictEqual(qyaml.decode("'a b': '1'"), { 'a b': '1' });
+                t.done();
+            },
+
+            'should decode yaml double-quoted escapes': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: "\\x41\\e\\N\\_\\L\\P\\0\\a\\v\\ \\/\\t"'), { a: 'A\x1b\x85\xa0\u2028\u2029\0\x07\x0b /\t' });
+                t.deepStrictEqual(qyaml.decode('a: "\\U0001F600 \\u00e9"'), { a: '\ud83d\ude00 \u00e9' });
+                t.done();
+            },
+
+            'should fold multi-line quoted strings': function(t) {
+                var yaml = [
+                    'a: "one',
+                    '   two  ',
+                    '',
+                    '  three \\',
+                    '   four"',
+                    "b: 'five",
+                    "  six' # comment",
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { a: 'one two\nthree four', b: 'five six' });
+                t.done();
+            },
+
+            'should decode quoted strings in flow collections': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: ["x,\n  y", \'z\'\'\', {\'k\': "\\x41"}]'), { a: ['x, y', "z'", { k: 'A' }] });
+                t.done();
+            },
+
+            'errors': {
+                'invalid escape': function(t) {
+                    t.throws(function(){ qyaml.decode('a: "\\q"') }, /line 1: invalid escape "\\q"/);
+                    t.throws(function(){ qyaml.decode('a: "\\x4"') }, /invalid escape "\\x"/);
+                    t.throws(function(){ qyaml.decode('a: "\\U00110000"') }, /invalid unicode escape/);
+                    t.done();
+                },
+
+                'unterminated string': function(t) {
+                    t.throws(function(){ qyaml.decode('a: "abc\nb: 1') }, /line 1: unterminated quoted string/);
+                    t.throws(function(){ qyaml.decode("a: ['abc]") }, /unterminated quoted string/);
+                    t.done();
+                },
+
+                'text after string': function(t) {
+                    t.throws(function(){ qyaml.decode("a: 'foo' bar") }, /invalid quoted string/);
+                    t.done();
+                },
+            },
+        },
+
+        'multi-line plain strings': {
+            'should fold continuation lines': function(t) {
+                var yaml = [
+                    'a: this is',
+                    '  continued',
+                    '',
+                    '  here # comment',
+                    'b: 1',
+                    '  2',
+                    'c:',
+                    '  - x',
+                    '    y',
+                    '  - z',
+                ].join('\n');
+                t.deepStrictEqual(qyaml.decode(yaml), { a: 'this is continued\nhere', b: '1 2', c: ['x y', 'z'] });
+                t.done();
+            },
+
+            'should not continue into comments or hash entries': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: x\n  # comment\nb: y\n'), { a: 'x', b: 'y' });
+                t.throws(function(){ qyaml.decode('a: x\n  b: y\n') }, /change in indentation/);
+                t.done();
+            },
+        },
+
+        'anchors and aliases': {
+            'should resolve aliases to the anchored value': function(t) {
+                var yaml = [
+                    'base: &base',
+                    '  host: localhost',
+                    'num: &n 5',
+                    'copy: *base',
+                    'list:',
+                    '  - &item [1, 2]',
+                    '  - *item',
+                    '  - *n',
+                    'flow: [&f {a: 1}, *f, *base]',
+                ].join('\n');
+                var obj = qyaml.decode(yaml);
+                t.deepStrictEqual(obj, { base: { host: 'localhost' }, num: 5, copy: { host: 'localhost' },
+                    list: [[1, 2], [1, 2], 5], flow: [{ a: 1 }, { a: 1 }, { host: 'localhost' }] });
+                t.strictEqual(obj.copy, obj.base);
+                t.strictEqual(obj.list[1], obj.list[0]);
+                t.strictEqual(obj.flow[1], obj.flow[0]);
+                t.done();
+            },
+
+            'should decode aliases as copies if configured': function(t) {
+                var obj = qyaml.defaults({ copyAliases: true }).decode('a: &a {b: [1]}\nc: *a\n');
+                t.deepStrictEqual(obj.c, obj.a);
+                t.notStrictEqual(obj.c, obj.a);
+                t.notStrictEqual(obj.c.b, obj.a.b);
+                t.done();
+            },
+
+            'should decode circular references': function(t) {
+                var obj = qyaml.decode('--- &top\nself: *top\nlist: &list\n  - 1\n  - *list\n');
+                t.strictEqual(obj.self, obj);
+                t.strictEqual(obj.list[1], obj.list);
+                t.done();
+            },
+
+            'anchors should be local to their document': function(t) {
+                t.throws(function(){ qyaml.decodeAll('a: &a 1\n---\nb: *a\n') }, /document 2, line 3: undefined alias "\*a"/);
+                t.done();
+            },
+
+            'should apply merge keys': function(t) {
+                var yaml = [
+                    'defaults: &defaults',
+                    '  adapter: postgres',
+                    '  host: localhost',
+                    'extra: &extra',
+                    '  host: extra',
+                    '  pool: 5',
+                    'dev:',
+                    '  host: dev',
+                    '  <<: [*defaults, *extra]',
+                    '  database: dev_db',
+                    'test: {<<: *defaults, database: test_db}',
+                ].join('\n');
+                var obj = qyaml.decode(yaml);
+                t.deepStrictEqual(obj.dev, { host: 'dev', adapter: 'postgres', pool: 5, database: 'dev_db' });
+                t.deepStrictEqual(obj.test, { adapter: 'postgres', host: 'localhost', database: 'test_db' });
+                t.deepStrictEqual(qyaml.decode('"<<": 1'), { '<<': 1 });
+                t.done();
+            },
+
+            'errors': {
+                'undefined alias': function(t) {
+                    t.throws(function(){ qyaml.decode('a: 1\nb: *nope') }, /line 2: undefined alias "\*nope"/);
+                    t.throws(function(){ qyaml.decode('a: [*nope]') }, /undefined alias/);
+                    t.done();
+                },
+
+                'invalid merge': function(t) {
+                    t.throws(function(){ qyaml.decode('a: &a 1\nb:\n  <<: *a\n') }, /merge value must be a hash/);
+                    t.done();
+                },
+
+                'alias expansion limit': function(t) {
+                    var yaml = ['a: &a [x, x, x, x, x, x, x, x, x]'];
+                    for (var i = 1; i < 8; i++) {
+                        var prev = String.fromCharCode(0x60 + i), next = String.fromCharCode(0x61 + i);
+                        yaml.push(next + ': &' + next + ' [' + new Array(10).join('*' + prev + ', ') + ']');
+                    }
+                    t.throws(function(){ qyaml.decode(yaml.join('\n')) }, /alias expansion limit of 100000 exceeded/);
+                    t.throws(function(){ qyaml.defaults({ maxAliasExpansion: 20 }).decode('a: &a [1, 2, 3]\nb: [*a, *a, *a, *a, *a, *a]') },
+                        /limit of 20 exceeded/);
+                    t.done();
+                },
+            },
+        },
+
+        'schemas': {
+            'should resolve scalars with the yaml 1.2 core schema': function(t) {
+                var coder = qyaml.defaults({ schema: 'core' });
+                var obj = coder.decode('a: [~, null, True, FALSE, 010, 0o10, 0x1F, -12, 1.5, 1e3, .5, .INF, -.inf, yes, undefined, Infinity, 0b1, 1_0]');
+                t.deepStrictEqual(obj.a.slice(0, 13), [null, null, true, false, 10, 8, 31, -12, 1.5, 1000, 0.5, Infinity, -Infinity]);
+                t.deepStrictEqual(obj.a.slice(13), ['yes', 'undefined', 'Infinity', '0b1', '1_0']);
+                t.ok(isNaN(coder.decode('- .NaN')[0]));
+                t.done();
+            },
+
+            'should resolve scalars with the yaml 1.1 schema': function(t) {
+                var coder = qyaml.defaults({ schema: 'yaml-1.1' });
+                var obj = coder.decode('a: [yes, No, ON, off, ~, 010, 0o10, 0x_1F, 0b101, -1_000, 190:20:30, 1:30.5, 1.5, 1e3, 1.0e+3, y, n]');
+                t.deepStrictEqual(obj.a, [true, false, true, false, null, 8, '0o10', 31, 5, -1000, 685230, 90.5, 1.5, '1e3', 1000, 'y', 'n']);
+                t.done();
+            },
+
+            'should resolve scalars with the json schema': function(t) {
+                var coder = qyaml.defaults({ schema: 'json' });
+                t.deepStrictEqual(coder.decode('a: [null, true, false, 0, -1.5e3, "x"]\n"b": "True"'), { a: [null, true, false, 0, -1500, 'x'], b: 'True' });
+                t.throws(function(){ coder.decode('a: True') }, /line 1: unquoted string "True" not valid in the json schema/);
+                t.throws(function(){ coder.decode('a: [010]') }, /not valid in the json schema/);
+                t.done();
+            },
+
+            'should decode all scalars as strings with the failsafe schema': function(t) {
+                var coder = qyaml.defaults({ schema: 'failsafe' });
+                t.deepStrictEqual(coder.decode('a: [null, true, 1.5, ~, "x"]\nb: 2'), { a: ['null', 'true', '1.5', '~', 'x'], b: '2' });
+                t.done();
+            },
+
+            'should keep the qyaml rules by default': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: [010, 0x10, 0o10, 0b10, Infinity, undefined, yes, ~]'), { a: [10, 16, 8, 2, Infinity, undefined, 'yes', '~'] });
+                t.done();
+            },
+
+            'should decode integers too large for numbers as BigInts': function(t) {
+                if (typeof BigInt !== 'function') return t.done();
+                var coder = qyaml.defaults({ bigint: true });
+                var obj = coder.decode('a: 12345678901234567890\nb: -9007199254740993\nc: [0xFFFFFFFFFFFFFFFFF, 0o7777777777777777777]\nd: 9007199254740991\ne: 1e20\n');
+                t.deepStrictEqual(obj, { a: BigInt('12345678901234567890'), b: BigInt('-9007199254740993'),
+                    c: [BigInt('0xFFFFFFFFFFFFFFFFF'), BigInt('0o7777777777777777777')], d: 9007199254740991, e: 1e20 });
+                t.deepStrictEqual(qyaml.defaults({ bigint: true, schema: 'yaml-1.1' }).decode('a: [0777777777777777777777, 1_000_000_000_000_000_000]'),
+                    { a: [BigInt('0o777777777777777777777'), BigInt('1000000000000000000')] });
+                t.strictEqual(qyaml.decode('a: 12345678901234567890').a, 12345678901234567000);
+                t.done();
+            },
+
+            'should keep the text of numbers at the numberText paths': function(t) {
+                var coder = qyaml.defaults({ numberText: ['version', 'files.*.mode', '/list/0'] });
+                t.deepStrictEqual(coder.decode('version: 1.10\nother: 1.10\nfiles:\n  -\n    mode: 0755\n    size: 010\n  - {mode: 0644}\nlist: [1.0, 2.0]\n'),
+                    { version: '1.10', other: 1.1, files: [{ mode: '0755', size: 10 }, { mode: '0644' }], list: ['1.0', 2] });
+                t.deepStrictEqual(coder.decodeAll('version: 1.10\n---\nversion: true\n'), [{ version: '1.10' }, { version: true }]);
+                t.equal(coder.parseDocument('a: 1\nversion: 2.0\n').get('version'), '2.0');
+                t.throws(function() { qyaml.defaults({ numberText: 'version' }) }, /numberText must be a list of paths/);
+                t.done();
+            },
+
+            'should reject unknown schemas': function(t) {
+                t.throws(function(){ qyaml.defaults({ schema: 'yaml-2' }) }, /unknown schema "yaml-2"/);
+                t.done();
+            },
+        },
+
+        'tags': {
+            'should decode standard yaml tags': function(t) {
+                var obj = qyaml.decode('a: !!str 123\nb: !!int "12"\nc: !!float 1e3\nd: !!bool yes\ne: !!null ~\nf: !!seq [1]\ng: !!map {x: 1}\nh: !!str\n');
+                t.deepStrictEqual(obj, { a: '123', b: 12, c: 1000, d: true, e: null, f: [1], g: { x: 1 }, h: '' });
+                t.deepStrictEqual(qyaml.decode('a: !<tag:yaml.org,2002:int> 0x10'), { a: 16 });
+                t.done();
+            },
+
+            'should decode empty !!str and !!null values followed by a sibling': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: !!str\nb: !!null\nc: 1\n'), { a: '', b: null, c: 1 });
+                t.deepStrictEqual(qyaml.decode('a: !!null null\nb: !!null\n'), { a: null, b: null });
+                t.done();
+            },
+
+            'should decode hang-indented tagged and anchored lists': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: !!seq\n- 1\nb: &x\n- 2\nc: *x\n'), { a: [1], b: [2], c: [2] });
+                t.done();
+            },
+
+            'should reject lists and hashes tagged !!str and non-null values tagged !!null': function(t) {
+                var inputs = ['a: !!str [1, 2]\n', 'a: !!str {x: 1}\n', 'a: !!str\n  x: 1\n', 'a: !!str\n  - 1\n', 'a: !!null foo\n', 'a: !!null 0\n'];
+                for (var i = 0; i < inputs.length; i++) {
+                    try { qyaml.decode(inputs[i]); t.fail('expected error for ' + inputs[i]) }
+                    catch (err) { t.equal(err.code, 'BAD_TYPE_VALUE', inputs[i]) }
+                }
+                t.done();
+            },
+
+            'should decode built-in types': function(t) {
+                var obj = qyaml.decode(
+                    'ts: !!timestamp 2001-12-14 21:59:43.10 -5\ndt: !!timestamp 2002-12-14\nbin: !!binary |\n  aGVs\n  bG8=\n' +
+                    're: !regexp /^a.b$/i\nset: !!set\n  a: null\n  b: null\nomap: !!omap [{x: 1}, {y: 2}]\n');
+                t.equal(obj.ts.toJSON(), '2001-12-15T02:59:43.100Z');
+                t.equal(obj.dt.toJSON(), '2002-12-14T00:00:00.000Z');
+                t.equal(obj.bin.toString(), 'hello');
+                t.ok(obj.re.test('A.B') && obj.re.test('axb'));
+                t.deepEqual(Array.from(obj.set), ['a', 'b']);
+                t.deepEqual(Array.from(obj.omap), [['x', 1], ['y', 2]]);
+                if (typeof BigInt === 'function') t.equal(typeof qyaml.decode('a: !bigint 12345678901234567890').a, 'bigint');
+                t.done();
+            },
+
+            'should decode tags in flow collections': function(t) {
+                t.deepStrictEqual(qyaml.decode('a: [!!str 1, ! 2, !!int "3", !!seq [4]]\nb: {x: !!str true}'), { a: ['1', '2', 3, [4]], b: { x: 'true' } });
+                t.done();
+            },
+
+            'should pass tagged plain scalars as strings': function(t) {
+                var coder = qyaml.defaults({ types: [{ tag: '!upper', decode: function(s) { return s.toUpperCase() } }] });
+                t.deepStrictEqual(coder.decode('a: !upper 12 two\n  three\nb: ! true'), { a: '12 TWO THREE', b: 'true' });
+                t.done();
+            },
+
+            'should let configured types override built-in types': function(t) {
+                var coder = qyaml.defaults({ types: [{ tag: '!!timestamp', decode: function(s) { return 'ts:' + s } }] });
+                t.deepStrictEqual(coder.decode('a: !!timestamp 2001-01-01'), { a: 'ts:2001-01-01' });
+                var coder2 = coder.defaults({ types: [{ tag: '!x', decode: Number }] });
+                t.deepStrictEqual(coder2.decode('a: !!timestamp 1\nb: !x 2'), { a: 'ts:1', b: 2 });
+                t.done();
+            },
+
+            'should reject unknown tags and invalid values': function(t) {
+                t.throws(function(){ qyaml.decode('a: 1\nb: !foo 1') }, /line 2: unknown tag "!foo"/);
+                t.throws(function(){ qyaml.decode('a: !!int 1.5') }, /line 1: invalid !!int value: not an integer/);
+                t.throws(function(){ qyaml.decode('a: !!timestamp yesterday') }, /invalid !!timestamp value/);
+                t.throws(function(){ qyaml.decode('a: !!omap {x: 1}') }, /invalid !!omap value: not a list/);
+                t.done();
+            },
+
+            'should reject invalid type definitions': function(t) {
+                t.throws(function(){ qyaml.defaults({ types: [{ tag: 'x', decode: String }] }) }, /must start with "!"/);
+                t.throws(function(){ qyaml.defaults({ types: [{ tag: '!x' }] }) }, /decode must be a function/);
+                t.throws(function(){ qyaml.defaults({ types: [{ tag: '!x', decode: String, test: Boolean }] }) }, /encode must be a function/);
+                t.done();
+            },
+        },
+
+        'reviver': {
+            'should call the reviver bottom-up like JSON.parse': function(t) {
+                var calls = [];
+                var obj = qyaml.decode('a: 1\nb:\n  - 2\n  -\n    x: 3\n', function(key, value, path) {
+                    calls.push([key, path]);
+                    return typeof value === 'number' ? value + 1 : value;
+                });
+                t.deepEqual(obj, { a: 2, b: [3, { x: 4 }] });
+                t.deepEqual(calls, [['a', ['a']], ['0', ['b', 0]], ['x', ['b', 1, 'x']], ['1', ['b', 1]], ['b', ['b']], ['', []]]);
+                t.done();
+            },
+
+            'should call the reviver with this set to the containing object': function(t) {
+                var holders = [];
+                qyaml.decode('a:\n  b: 1\n', function(key, value) { holders.push(this); return value });
+                t.deepEqual(holders, [{ b: 1 }, { a: { b: 1 } }, { '': { a: { b: 1 } } }]);
+                t.done();
+            },
+
+            'should delete values revived to undefined': function(t) {
+                var obj = qyaml.decode('a: 1\nb: secret\nc: [1, secret]', function(key, value) { return value === 'secret' ? undefined : value });
+                t.deepEqual(Object.keys(obj), ['a', 'c']);
+                t.equal(obj.c.length, 2);
+                t.ok(!(1 in obj.c));
+                t.done();
+            },
+
+            'should replace the document with the revived top-level value': function(t) {
+                t.equal(qyaml.decode('a: 1', function(key, value) { return key === '' ? 'top' : value }), 'top');
+                t.done();
+            },
+
+            'should revive shared and circular references once': function(t) {
+                var count = 0;
+                var obj = qyaml.decode('a: &x\n  b: 1\n  self: *x\nc: *x\n', function(key, value) { if (key === 'b') count += 1; return value });
+                t.equal(count, 1);
+                t.equal(obj.a.self, obj.a);
+                t.done();
+            },
+
+            'should revive each document with decodeAll': function(t) {
+                t.deepEqual(qyaml.decodeAll('a: 1\n---\na: 2\n', function(key, value) { return key === 'a' ? value * 2 : value }), [{ a: 2 }, { a: 4 }]);
+                t.done();
+            },
+        },
+
+        'locations': {
+            'should locate names and values': function(t) {
+                var located = qyaml.decodeWithLocations('# config\nname: app  # the name\ndb:\n  host: "localhost"\n  ports:\n    - 80\n    - 443\n');
+                t.deepEqual(located.value, { name: 'app', db: { host: 'localhost', ports: [80, 443] } });
+                var loc = located.locations;
+                t.deepEqual(loc['/name'], { key: { line: 2, column: 1, endLine: 2, endColumn: 4 }, value: { line: 2, column: 7, endLine: 2, endColumn: 9 } });
+                t.deepEqual(loc['/db/host'].value, { line: 4, column: 9, endLine: 4, endColumn: 19 });
+                t.deepEqual(loc['/db/ports/1'], { key: null, value: { line: 7, column: 7, endLine: 7, endColumn: 9 } });
+                t.deepEqual(loc['/db'].value, { line: 4, column: 3, endLine: 7, endColumn: 9 });
+                t.deepEqual(loc[''].value, { line: 2, column: 1, endLine: 7, endColumn: 9 });
+                t.done();
+            },
+
+            'should locate multi-line values to the end of their text': function(t) {
+                var loc = qyaml.decodeWithLocations('text: |\n  one\n  two  \nplain: a\n  b  # comment\n\nempty:\n').locations;
+                t.deepEqual(loc['/text'].value, { line: 1, column: 7, endLine: 3, endColumn: 5 });
+                t.deepEqual(loc['/plain'].value, { line: 4, column: 8, endLine: 5, endColumn: 3 });
+                t.deepEqual(loc['/empty'].value, { line: 7, column: 7, endLine: 7, endColumn: 6 });
+                t.done();
+            },
+
+            'should locate values inside flow collections': function(t) {
+                var loc = qyaml.decodeWithLocations('a: [1, {b: two,\n  c: [3]}]  # flow\n').locations;
+                t.deepEqual(loc['/a'].value, { line: 1, column: 4, endLine: 2, endColumn: 10 });
+                t.deepEqual(loc['/a/0'].value, { line: 1, column: 5, endLine: 1, endColumn: 5 });
+                t.deepEqual(loc['/a/1/b'], { key: { line: 1, column: 9, endLine: 1, endColumn: 9 }, value: { line: 1, column: 12, endLine: 1, endColumn: 14 } });
+                t.deepEqual(loc['/a/1/c/0'].value, { line: 2, column: 7, endLine: 2, endColumn: 7 });
+                t.done();
+            },
+
+            'should escape names in JSON pointers': function(t) {
+                var loc = qyaml.decodeWithLocations('"a/b":\n  c~d: 1\n').locations;
+                t.deepEqual(loc['/a~1b/c~0d'].key, { line: 2, column: 3, endLine: 2, endColumn: 5 });
+                t.done();
+            },
+
+            'should count lines from the start of the stream': function(t) {
+                var loc = qyaml.decodeWithLocations('%YAML 1.2\n---\n\na: 1\n').locations;
+                t.deepEqual(loc['/a'].value, { line: 4, column: 4, endLine: 4, endColumn: 4 });
+                t.done();
+            },
+        },
+
         'edge cases': {
-            'allows tab indent': function(t) {
+            'rejects tab indent': function(t) {
                 var yaml = [
                     'a:',
                     '       b:',
                     '\tc: 1',
                 ].join('\n');
 
-                var obj = qyaml.decode(yaml);
-                t.deepStrictEqual(obj, { a: { b: { c: 1 } } });
-                t.done();
-            },
+                try { qyaml.decode(yaml); t.fail() }
+                catch (err) {
+                    t.contains(err, { message: 'qyaml: line 3: tab character used for indentation', code: 'BAD_INDENT', line: 3, column: 1 });
+                    t.equal(err.snippet, '\tc: 1\n^');
+                }
+                try { qyaml.decode('a:\n  - 1\n \t- 2\n'); t.fail() }
+                catch (err) { t.contains(err, { code: 'BAD_INDENT', line: 3, column: 2 }) }
+                t.throws(function() { qyaml.decode('a: x\n\ty\n') }, /line 2: tab/);
+                t.deepEqual(qyaml.decode('a: |\n  x\n  \ty\nb: \t[1,\n\t2]  \t# tabs\n\t\nc: "x\n\ty"\n'), { a: 'x\n\ty\n', b: [1, 2], c: 'x y' });
+                t.done();
+            },
+
+            'accepts tabs after the separators': function(t) {
+                t.deepStrictEqual(qyaml.decode('a:\t1\nb:\t\n  c:\tx\n    y\n'), { a: 1, b: { c: 'x y' } });
+                t.deepStrictEqual(qyaml.decode('-\tx\n-\t2\n'), ['x', 2]);
+                t.deepStrictEqual(qyaml.decode('?\tk\n:\tv\n'), { k: 'v' });
+                t.deepStrictEqual(qyaml.decode('a:b:\tc\n'), { 'a:b': 'c' });
+                t.done();
+            },
+
+            'allows CRLF and CR line breaks and byte order marks': function(t) {
+                var yaml = '\uFEFFa: |\r\n  x\r\n  y\r\nb: >\r\n  x\r\n  y\r\nc: "x\r\n  y"  # c\r\nd:\r\n  - 1\r\n';
+                t.deepEqual(qyaml.decode(yaml), { a: 'x\ny\n', b: 'x y\n', c: 'x y', d: [1] });
+                t.deepEqual(qyaml.decode('a: 1\rb:\r  - x\r'), { a: 1, b: ['x'] });
+                t.deepEqual(qyaml.decodeAll('\uFEFFa: 1\r\n---\r\n\uFEFFb: 2\r\n'), [{ a: 1 }, { b: 2 }]);
+                t.deepEqual(qyaml.decodeWithLocations('a: 1\r\nb: x\r\n').locations['/b'].value, { line: 2, column: 4, endLine: 2, endColumn: 4 });
+                try { qyaml.decode('a: 1\r\nb: *x\r\n'); t.fail() }
+                catch (err) { t.contains(err, { line: 2, column: 4, snippet: 'b: *x\n   ^' }) }
+                t.done();
+            },
+
+            'allows a top-level list': function(t) {
+                var yaml = [
+                    '- 1',
+                    '- 2',
+                ].join('\n') + '\n';
+
+                var obj = qyaml.decode(yaml);
+                t.deepStrictEqual(obj, [ 1, 2 ]);
+                t.done();
+            },
+
+            'can decode NaN': function(t) {
+                t.ok(isNaN(qyaml.decode('- .nan')[0]));
+                t.ok(isNaN(qyaml.decode('- .Nan')[0]));
+                t.ok(isNaN(qyaml.decode('- .NAN')[0]));
+                t.done();
+            },
+
+            'can decode arbitrary strings': function(t) {
+                var obj = qyaml.decode('- abc\u1234def');
+                t.strictEqual(obj[0], 'abc\u1234def');
+                t.done();
+            },
+
+            'should allow document markers': function(t) {
+                var yaml = [
+                    '---',
+                    '  a: 1',
+                    '  b: 2',
+                    '...',
+                ].join('\n');
+                t.deepEqual(qyaml.decode(yaml), { a: 1, b: 2 });
+                t.done();
+            },
+
+            'should allow property names containing special chars': function(t) {
+                t.deepEqual(qyaml.decode('"a\\"b": 1'), { 'a"b': 1 });
+                t.done();
+            },
+
+            'should disallow : in name': function(t) {
+                t.deepEqual(qyaml.decode(' a:b : 1'), { 'a:b': 1 });
+                t.done();
+            },
+
+            'should encode string value of special objects': function(t) {
+                var dt = new Date('2019-01-02T03:04:05.678Z');
+                dt.a = 1;
+                dt.b = 'two';
+                var obj = { a: dt };
+                t.equal(qyaml.encode(obj), 'a: !!timestamp 2019-01-02T03:04:05.678Z\n');
+                t.done();
+            },
+
+            'should decode single dash into an object': function(t) {
+                t.deepEqual(qyaml.decode('a:\n  -\n'), { a: [ {} ] });
+                t.deepEqual(qyaml.decode('a:\n  -\n    aa: 1\n'), { a: [ { aa: 1 } ] });
+                t.done();
+            },
+        },
+
+        'errors': {
+            'missing property name': function(t) {
+                t.throws(function(){ qyaml.decode('123') }, /missing.* name/);
+                t.done();
+            },
+
+            'invalid quoted strings': function(t) {
+                t.throws(function(){ qyaml.decode('a: "foo" bar\n') }, /invalid.* string/);
+                t.done();
+            },
+
+            'trailing lines': function(t) {
+                t.throws(function(){ qyaml.decode('  a: 1\nb:2\n') }, /trailing lines/);
+                t.done();
+            },
+
+            'bad indentation': function(t) {
+                var yaml = [
+                    'a:',
+                    '    b: 1',
+                    '   c : 2',
+                ].join('\n');
+                t.throws(function(){ qyaml.decode(yaml) }, /change in indent/);
+                t.done();
+            },
+
+            'array item in hash': function(t) {
+                var yaml = [
+                    'x:',
+                    '  a: 1',
+                    '  - 2',
+                    '  c: 3',
+                ].join('\n');
+                t.throws(function(){ qyaml.decode(yaml) }, /array element in hash/);
+                t.done();
+            },
+
+            'should throw QyamlError with line, column, code and snippet': function(t) {
+                try { qyaml.decode('a: 1\nb:\n  c: *nope  # alias\n'); t.fail() }
+                catch (err) {
+                    t.ok(err instanceof qyaml.QyamlError);
+                    t.ok(err instanceof Error);
+                    t.equal(err.name, 'QyamlError');
+                    t.contains(err, { code: 'BAD_ALIAS', line: 3, column: 6, document: 1, source: '  c: *nope  # alias' });
+                    t.equal(err.snippet, '  c: *nope  # alias\n     ^');
+                    t.contains(err.stack, /^QyamlError: qyaml: line 3: undefined alias/);
+                }
+                t.done();
+            },
+
+            'should identify the error codes': function(t) {
+                var tests = [
+                    ['a:\n    b: 1\n   c: 2', 'BAD_INDENT', 3, 4],
+                    ['a: 1\nb c', 'MISSING_NAME', 2, 1],
+                    ['a: "x\\q"', 'BAD_ESCAPE', 1, 6],
+                    ['a: "x" y', 'BAD_QUOTE', 1, 8],
+                    ['a:\n  - "x\n', 'BAD_QUOTE', 2, 3],
+                    ['a: [1\n', 'BAD_FLOW', 1, 1],
+                    ['a: !nope 1', 'UNKNOWN_TAG', 1, 4],
+                    ['a: 1\n---\nb: 2', 'MULTIPLE_DOCUMENTS', 2, 1],
+                ];
+                for (var i = 0; i < tests.length; i++) {
+                    try { qyaml.decode(tests[i][0]); t.fail() }
+                    catch (err) { t.deepEqual([err.code, err.line, err.column], tests[i].slice(1), tests[i][0]) }
+                }
+                t.done();
+            },
+
+            'should report encode errors without a line': function(t) {
+                try { qyaml.encode(7); t.fail() }
+                catch (err) { t.contains(err, { message: 'qyaml: cannot encode simple value 7', code: 'BAD_VALUE', line: 0, snippet: '' }) }
+                t.done();
+            },
+        },
+
+        'recover': {
+            'should collect the errors and decode the rest': function(t) {
+                var options = { recover: true };
+                var obj = qyaml.decode('a: 1\nb c\ne: *nope\nf:\n  - 2\n  g: 3\nh: [4\n', options);
+                t.deepEqual(obj, { a: 1, f: [2] });
+                t.deepEqual(options.errors.map(function(e) { return e.line + ' ' + e.code }), ['2 MISSING_NAME', '3 BAD_ALIAS', '6 BAD_INDENT', '7 BAD_FLOW']);
+                t.done();
+            },
+
+            'should skip the lines of multi-line values with errors': function(t) {
+                var options = { recover: true };
+                var obj = qyaml.decode('a: {x: 1,\n  y: [\n  z: 3}\nb: 2\nbad\nc: [1,\n  2 3 : :,\n  4]\nd: "x\\q\n  y"\ne: 5\n', options);
+                t.deepEqual(obj, { b: 2, e: 5 });
+                t.deepEqual(options.errors.map(function(e) { return e.line + ' ' + e.code }), ['3 BAD_FLOW', '5 MISSING_NAME', '7 BAD_FLOW', '10 BAD_ESCAPE']);
+                t.done();
+            },
+
+            'should append to the given errors array': function(t) {
+                var errors = ['x'];
+                t.deepEqual(qyaml.decode('a: 1\n', { recover: true, errors: errors }), { a: 1 });
+                t.deepEqual(qyaml.decode('a: 1\n  b: 2\n', { recover: true, errors: errors }), { a: 1 });
+                t.equal(errors.length, 2);
+                t.equal(errors[1].code, 'BAD_INDENT');
+                t.done();
+            },
+
+            'should return the first document of a stream': function(t) {
+                var options = { recover: true };
+                t.deepEqual(qyaml.decode('a: 1\n---\nb: 2\n', options), { a: 1 });
+                t.equal(options.errors[0].code, 'MULTIPLE_DOCUMENTS');
+                t.done();
+            },
+
+            'should recover in decodeAll and also revive': function(t) {
+                var options = { recover: true, reviver: function(k, v) { return typeof v === 'number' ? -v : v } };
+                t.deepEqual(qyaml.decodeAll('a: 1\nb\n---\nc: "x\n', options), [{ a: -1 }, {}]);
+                t.equal(options.errors.length, 2);
+                t.equal(options.errors[1].document, 2);
+                t.done();
+            },
+
+            'should rethrow errors not on a yaml line': function(t) {
+                t.throws(function(){ qyaml.decode('a: 1', { recover: true, reviver: function() { throw new Error('reviver') } }) }, /reviver/);
+                t.done();
+            },
+        },
+
+        'duplicate keys': {
+            'should keep the last value by default': function(t) {
+                t.deepEqual(qyaml.decode('a: 1\nb: 2\na: 3\nc: {d: 4, d: 5}'), { a: 3, b: 2, c: { d: 5 } });
+                t.done();
+            },
+
+            'should keep the first value with first-wins': function(t) {
+                var coder = qyaml.defaults({ duplicateKeys: 'first-wins' });
+                t.deepEqual(coder.decode('a: 1\nb: 2\na:\n  x: 3\nc: {d: 4, d: 5}\n<<: {b: 6, e: 7}'), { a: 1, b: 2, c: { d: 4 }, e: 7 });
+                t.done();
+            },
+
+            'should throw on duplicates with error': function(t) {
+                var coder = qyaml.defaults({ duplicateKeys: 'error' });
+                try { coder.decode('a: 1\nb:\n  c: 2\n  "c": 3\n'); t.fail() }
+                catch (err) { t.contains(err, { code: 'DUPLICATE_KEY', line: 4, column: 4, message: 'qyaml: line 4: duplicate property name "c"' }) }
+                t.throws(function(){ coder.decode('a: [{b: 1, b: 2}]') }, /duplicate property name "b"/);
+                t.deepEqual(coder.decode('a: 1\n<<: {a: 2}'), { a: 1 });
+                t.done();
+            },
+
+            'should report duplicates with warn': function(t) {
+                var warnings = [];
+                var coder = qyaml.defaults({ duplicateKeys: 'warn', onWarning: function(err) { warnings.push(err) } });
+                t.deepEqual(coder.decode('a: 1\na: 2\n'), { a: 2 });
+                t.equal(warnings.length, 1);
+                t.contains(warnings[0], { code: 'DUPLICATE_KEY', line: 2 });
+                t.done();
+            },
+
+            'should reject unknown duplicateKeys': function(t) {
+                t.throws(function(){ qyaml.defaults({ duplicateKeys: 'ignore' }) }, /unknown duplicateKeys/);
+                t.done();
+            },
+
+            'should not set prototypes from __proto__ keys': function(t) {
+                var obj = qyaml.decode('__proto__:\n  polluted: 1\nconstructor: 2\nb: {__proto__: {polluted: 3}}\n');
+                t.equal(Object.getPrototypeOf(obj), Object.prototype);
+                t.equal(Object.getPrototypeOf(obj.b), Object.prototype);
+                t.deepEqual(Object.keys(obj), ['__proto__', 'constructor', 'b']);
+                t.equal(obj.polluted, undefined);
+                t.equal(({}).polluted, undefined);
+                t.equal(qyaml.encode(obj), '__proto__:\n  polluted: 1\nconstructor: 2\nb:\n  __proto__:\n    polluted: 3\n');
+                obj = qyaml.decode('base: &b {__proto__: {x: 1}}\nc:\n  <<: *b\n');
+                t.ok(Object.prototype.hasOwnProperty.call(obj.c, '__proto__'));
+                t.equal(obj.c.x, undefined);
+                t.done();
+            },
+
+            'should decode hashes into Maps with the maps option': function(t) {
+                var coder = qyaml.defaults({ maps: true });
+                var map = coder.decode('1: a\n"1": b\ntrue: c\nd:\n  <<: {e: 1}\n  f: {2: g}\n');
+                t.deepEqual(Array.from(map.keys()), [1, '1', true, 'd']);
+                t.ok(map.get('d') instanceof Map);
+                t.deepEqual(Array.from(map.get('d').entries()), [['f', new Map([[2, 'g']])], ['e', 1]]);
+                t.ok(coder.decode('') instanceof Map);
+                t.deepEqual(Array.from(coder.decode('a: !!set {x: null}').get('a')), ['x']);
+                t.deepEqual(qyaml.defaults({ maps: true, duplicateKeys: 'first-wins' }).decode('1: a\n1: b').get(1), 'a');
+                t.deepEqual(coder.parseDocument('a: 1').get('a'), 1);
+                t.done();
+            },
+        },
+
+        'variables': {
+            'should substitute ${VAR} in plain, double-quoted and block values': function(t) {
+                var coder = qyaml.defaults({ env: { PORT: '5432', NAME: 'app', EMPTY: '' } });
+                t.deepStrictEqual(coder.decode('port: ${PORT}\nurl: "${NAME}:${PORT}"\nraw: \'${NAME}\'\ntext: |\n  name ${NAME}\n'),
+                    { port: 5432, url: 'app:5432', raw: '${NAME}', text: 'name app\n' });
+                t.deepStrictEqual(coder.decode('a: [${PORT}, {b: ${NAME}}, "${NAME}"]\n${NAME}: 1\n'),
+                    { a: [5432, { b: 'app' }, 'app'], '${NAME}': 1 });
+                t.deepStrictEqual(coder.decode('{${NAME}: x, "${PORT}": y}'), { '${NAME}': 'x', '${PORT}': 'y' });
+                t.deepStrictEqual(coder.decode('a: ${EMPTY}\nb: ${EMPTY:-1}\nc: ${UNSET:-true}\nd: $${NAME}\ne: !!str ${PORT}\n'),
+                    { a: '', b: 1, c: true, d: '${NAME}', e: '5432' });
+                t.deepStrictEqual(qyaml.decode('a: ${PORT}'), { a: '${PORT}' });
+                t.done();
+            },
+
+            'should decode !env variables': function(t) {
+                var coder = qyaml.defaults({ env: { PORT: '5432', NAME: 'app' } });
+                t.deepStrictEqual(coder.decode('port: !env PORT\nname: !env NAME\nlist: [!env PORT]\n'), { port: 5432, name: 'app', list: [5432] });
+                t.throws(function(){ qyaml.decode('a: !env PORT') }, /unknown tag "!env"/);
+                t.done();
+            },
+
+            'should reject undefined variables': function(t) {
+                var coder = qyaml.defaults({ env: process.env });
+                try { coder.decode('a: 1\nb: x${QYAML_UNDEFINED_VAR}\n'); t.fail() }
+                catch (err) { t.contains(err, { code: 'UNDEFINED_VARIABLE', line: 2, column: 7, message: 'qyaml: line 2: undefined variable "QYAML_UNDEFINED_VAR"' }) }
+                t.throws(function(){ coder.decode('a: !env QYAML_UNDEFINED_VAR') }, /undefined variable/);
+                t.done();
+            },
+        },
+
+        'includes': {
+            before: function() {
+                var fs = require('fs'), dir = this.dir = require('os').tmpdir() + '/test-qyaml-' + process.pid;
+                fs.mkdirSync(dir + '/conf/sub', { recursive: true });
+                fs.writeFileSync(dir + '/conf/db.yml', 'host: db\nport: ${PORT:-5432}\n');
+                fs.writeFileSync(dir + '/conf/sub/app.yml', 'db: !include ../db.yml\nname: app\n');
+                fs.writeFileSync(dir + '/conf/sub/loop.yml', 'a: !include loop2.yml\n');
+                fs.writeFileSync(dir + '/conf/sub/loop2.yml', 'b: !include loop.yml\n');
+                fs.writeFileSync(dir + '/conf/bad.yml', 'a: 1\nb: *x\n');
+                fs.writeFileSync(dir + '/secret.yml', 'password: x\n');
+                fs.symlinkSync(dir + '/secret.yml', dir + '/conf/link.yml');
+                this.coder = qyaml.defaults({ includeDir: dir + '/conf', env: {} });
+            },
+
+            after: function() {
+                require('fs').rmSync(this.dir, { recursive: true, force: true });
+            },
+
+            'should include files relative to the including file': function(t) {
+                t.deepEqual(this.coder.decode('app: !include sub/app.yml\n'), { app: { db: { host: 'db', port: 5432 }, name: 'app' } });
+                t.deepEqual(qyaml.defaults({ includeDir: this.dir + '/conf', env: { PORT: '1' } }).decode('--- !include db.yml'), { host: 'db', port: 1 });
+                t.throws(function(){ qyaml.decode('a: !include db.yml') }, /unknown tag "!include"/);
+                t.done();
+            },
+
+            'should reject include cycles': function(t) {
+                try { this.coder.decode('x: !include sub/loop.yml'); t.fail() }
+                catch (err) {
+                    t.contains(err, { code: 'BAD_INCLUDE', line: 1, column: 13 });
+                    t.equal(err.message, 'qyaml: line 1: cannot include "sub/loop.yml": line 1: cannot include "loop2.yml": line 1: cannot include "loop.yml": include cycle');
+                }
+                t.done();
+            },
+
+            'should reject files outside the include root': function(t) {
+                var coder = this.coder, dir = this.dir;
+                t.throws(function(){ coder.decode('a: !include ../secret.yml') }, /cannot include "..\/secret.yml": outside the include root/);
+                t.throws(function(){ coder.decode('a: !include link.yml') }, /cannot include "link.yml": outside the include root/);
+                t.throws(function(){ coder.decode('a: !include /etc/passwd') }, /outside the include root/);
+                t.throws(function(){ qyaml.defaults({ includeDir: dir + '/conf/sub' }).decode('a: !include app.yml') }, /cannot include "..\/db.yml": outside/);
+                t.deepEqual(qyaml.defaults({ includeDir: this.dir + '/conf', includeRoot: this.dir }).decode('--- !include link.yml'), { password: 'x' });
+                t.done();
+            },
+
+            'should report errors in included files': function(t) {
+                var coder = this.coder;
+                try { coder.decode('a:\n  b: !include bad.yml\n'); t.fail() }
+                catch (err) { t.contains(err, { code: 'BAD_ALIAS', line: 2, message: 'qyaml: line 2: cannot include "bad.yml": line 2: undefined alias "*x"' }) }
+                t.throws(function(){ coder.decode('a: !include missing.yml') }, /cannot include "missing.yml": ENOENT/);
+                t.throws(function(){ coder.decode('a: !include [x]') }, /invalid !include value: expected a file name/);
+                t.done();
+            },
+        },
+    },
+
+    'decodeAll': {
+        'should decode each document': function(t) {
+            var yaml = [
+                '%YAML 1.2',
+                '---',
+                'kind: Service',
+                '...',
+                '---',
+                'kind: Deployment',
+                'spec:',
+                '  replicas: 2',
+                '---',
+                '- 1',
+                '- 2',
+            ].join('\n') + '\n';
+            t.deepStrictEqual(qyaml.decodeAll(yaml), [{ kind: 'Service' }, { kind: 'Deployment', spec: { replicas: 2 } }, [1, 2]]);
+            t.done();
+        },
+
+        'should decode an implicit first document': function(t) {
+            t.deepStrictEqual(qyaml.decodeAll('a: 1\n---\nb: 2\n'), [{ a: 1 }, { b: 2 }]);
+            t.done();
+        },
+
+        'should decode values on the document start line': function(t) {
+            t.deepStrictEqual(qyaml.decodeAll('--- [1, 2]\n--- |\n  text\n--- # comment\na: 1\n'), [[1, 2], 'text\n', { a: 1 }]);
+            t.done();
+        },
+
+        'should decode empty documents': function(t) {
+            t.deepStrictEqual(qyaml.decodeAll(''), []);
+            t.deepStrictEqual(qyaml.decodeAll('# comment\n...\n'), []);
+            t.deepStrictEqual(qyaml.decodeAll('---\n---\n# comment\n'), [{}, {}]);
+            t.done();
+        },
+
+        'should report the document and stream line number of errors': function(t) {
+            t.throws(function(){ qyaml.decodeAll('a: 1\n---\n\nb: 2\n  c: 3\n') }, /^QyamlError: qyaml: document 2, line 5: unexpected change in indent/);
+            t.throws(function(){ qyaml.decodeAll('# one\na: 1\n  b: 2\n---\n') }, /^QyamlError: qyaml: line 3: unexpected change in indent/);
+            t.done();
+        },
+
+        'decode should reject multiple documents': function(t) {
+            t.throws(function(){ qyaml.decode('a: 1\n---\nb: 2\n') }, /line 2: expected a single document.*decodeAll/);
+            t.deepStrictEqual(qyaml.decode('---\na: 1\n...\n'), { a: 1 });
+            t.done();
+        },
+    },
+
+    'encodeAll': {
+        'should separate documents with ---': function(t) {
+            t.equal(qyaml.encodeAll([{ a: 1 }, [2], { b: { c: 3 } }]), 'a: 1\n---\n- 2\n---\nb:\n  c: 3\n');
+            t.equal(qyaml.encodeAll([]), '');
+            t.done();
+        },
+
+        'should round-trip documents': function(t) {
+            var docs = [{ a: 'x\ny' }, [1, [2]], {}];
+            t.deepStrictEqual(qyaml.decodeAll(qyaml.encodeAll(docs)), docs);
+            t.done();
+        },
+
+        'should format documents keeping flow collections': function(t) {
+            t.equal(qyaml.format('a:    {b: [1,2],   c: "x"}\nd:\n     - \'e\'\n--- hello\n---\n[1, 2]\n'), 'a: {b: [1, 2], c: x}\nd:\n  - e\n--- hello\n--- [1, 2]\n');
+            try { qyaml.format('a: 1\nb: |\n  # text\n# note\n'); t.fail() }
+            catch (err) { t.contains(err, { message: 'qyaml: line 4: comment "# note" would be lost by format', code: 'COMMENT', line: 4, column: 1 }) }
+            t.done();
+        },
+    },
+
+    'parseDocument': {
+        setUp: function(done) {
+            this.yaml = '# settings\nname: app   # the name\nport: 8080\n\ndb:\n  host: \'localhost\'\n  opts: [1, 2]\nlist:\n  - a\n  - b\n# end\n';
+            done();
+        },
+
+        'should keep CRLF line breaks and the byte order mark': function(t) {
+            var doc = qyaml.parseDocument('\uFEFF# config\r\na: 1  # one\r\nb:\r\n  - x\r\n');
+            t.deepEqual(doc.value, { a: 1, b: ['x'] });
+            doc.set('a', 2).set('b.1', 'y').set('c', { d: 'e' });
+            t.equal(doc.toString(), '\uFEFF# config\r\na: 2  # one\r\nb:\r\n  - x\r\n  - y\r\nc:\r\n  d: e\r\n');
+            t.equal(qyaml.defaults({ eol: '\r\n' }).parseDocument('a: 1\n').set('b', [1]).toString(), 'a: 1\nb:\n  - 1\n');
+            t.done();
+        },
+
+        'should reproduce the source': function(t) {
+            var yamls = [this.yaml, '', '\n\n# only comments\n', '---\na: 1\n...\n', '{a: 1}', 'a:  "x"   \n\n\n'];
+            for (var i = 0; i < yamls.length; i++) t.equal(qyaml.parseDocument(yamls[i]).toString(), yamls[i]);
+            t.done();
+        },
+
+        'should get values by array, dotted path or JSON pointer': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            t.equal(doc.get(['db', 'host']), 'localhost');
+            t.equal(doc.get('db.opts.1'), 2);
+            t.equal(doc.get('/list/0'), 'a');
+            t.deepEqual(doc.get(''), doc.value);
+            t.strictEqual(doc.get('db.missing.x'), undefined);
+            t.ok(doc.has('db.opts') && !doc.has('db.user'));
+            t.done();
+        },
+
+        'should locate values in the source': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            t.deepEqual(doc.getLocation('/db/host'), { key: { line: 6, column: 3, endLine: 6, endColumn: 6 }, value: { line: 6, column: 9, endLine: 6, endColumn: 19 } });
+            t.deepEqual(doc.getLocation('list').value, { line: 9, column: 3, endLine: 10, endColumn: 5 });
+            t.deepEqual(doc.getLocation('db.opts.1').value, { line: 7, column: 13, endLine: 7, endColumn: 13 });
+            t.strictEqual(doc.getLocation('db.user'), null);
+            doc.set('db.host', 'remote');
+            t.deepEqual(doc.getLocation('/db/host').value, { line: 6, column: 9, endLine: 6, endColumn: 16 });
+            t.done();
+        },
+
+        'should replace values in place, keeping comments and quotes': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            doc.set('name', 'other').set('db.host', 'remote').set('db.opts', [1, 2, 3]).set('list.0', 'x y');
+            t.equal(doc.toString(), this.yaml.replace('app ', 'other ').replace("'localhost'", "'remote'").replace('[1, 2]', '[1, 2, 3]').replace('- a', '- x y'));
+            t.equal(doc.get('db.host'), 'remote');
+            t.done();
+        },
+
+        'should rewrite the lines of values that change shape': function(t) {
+            var doc = qyaml.parseDocument('a: 1  # one\nb:\n  - 1\n  - 2\nc: 3\n');
+            doc.set('a', { x: 1 }).set('b', 'text');
+            t.equal(doc.toString(), 'a:\n  x: 1\nb: text\nc: 3\n');
+            t.done();
+        },
+
+        'should append new entries after their siblings': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            doc.set('db.user', 'me').set('list.2', 'c').set('new.x', [1]);
+            t.equal(doc.toString(), this.yaml.replace('  opts: [1, 2]\n', '  opts: [1, 2]\n  user: me\n').replace('  - b\n', '  - b\n  - c\nnew:\n  x:\n    - 1\n'));
+            t.deepEqual(doc.get('new'), { x: [1] });
+            t.done();
+        },
+
+        'should edit flow collections and empty documents': function(t) {
+            var doc = qyaml.parseDocument('{a: 1, b: 2}\n');
+            doc.set('c', 3).delete('a');
+            t.equal(doc.toString(), '{b: 2, c: 3}\n');
+            doc = qyaml.parseDocument('# empty\n');
+            doc.set('a.b', 1);
+            t.equal(doc.toString(), '# empty\na:\n  b: 1\n');
+            t.done();
+        },
+
+        'should delete values': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            t.equal(doc.delete('name'), true);
+            t.equal(doc.delete('list.0'), true);
+            t.equal(doc.delete('db.opts.0'), true);
+            t.equal(doc.delete('db.missing'), false);
+            t.equal(doc.toString(), '# settings\nport: 8080\n\ndb:\n  host: \'localhost\'\n  opts: [2]\nlist:\n  - b\n# end\n');
+            doc = qyaml.parseDocument('a:\n  - 1\nb: 2\n');
+            doc.delete('a.0');
+            t.equal(doc.toString(), 'a: []\nb: 2\n');
+            t.done();
+        },
+
+        'should undo edits that do not decode': function(t) {
+            var doc = qyaml.parseDocument('a: &x 1\nb: *x\n');
+            t.throws(function(){ doc.delete('a') }, /alias/);
+            t.equal(doc.toString(), 'a: &x 1\nb: *x\n');
+            t.done();
+        },
+
+        'should keep the anchors and tags of replaced values': function(t) {
+            var doc = qyaml.parseDocument('a: &x 1  # one\nb: *x\n');
+            doc.set('a', 2);
+            t.equal(doc.toString(), 'a: &x 2  # one\nb: *x\n');
+            t.deepEqual(doc.value, { a: 2, b: 2 });
+            doc = qyaml.parseDocument('a: &x {k: 1}\nb: *x\nc: &y\n  k: 1\nd: *y\n');
+            doc.set('a.k', 2).set('c', { k: 3 });
+            t.equal(doc.toString(), 'a: &x {k: 2}\nb: *x\nc: &y\n  k: 3\nd: *y\n');
+            doc = qyaml.parseDocument('a: !!str 1\nb: !!str 1\nc: &z !!int 1\n');
+            doc.set('a', '2').set('b', 2).set('c', 3);
+            t.equal(doc.toString(), 'a: !!str "2"\nb: 2\nc: &z !!int 3\n');
+            t.deepStrictEqual(doc.value, { a: '2', b: 2, c: 3 });
+            t.done();
+        },
+
+        'should use the coder options': function(t) {
+            var doc = qyaml.defaults({ indent: 4, quoteStyle: 'single' }).parseDocument('a: 1\n');
+            doc.set('b.c', 'x: y');
+            t.equal(doc.toString(), "a: 1\nb:\n    c: 'x: y'\n");
+            t.done();
+        },
+    },
+
+    'createDecoder': {
+        before: function() {
+            this.yaml = '# list\n- {a: 1}\n- &x [2]\n- *x\n---\nb: |\n  text\n...\n--- 3\n';
+            this.writeAll = function(decoder, yaml, size) {
+                var records = [];
+                for (var i = 0; i < yaml.length; i += size) records = records.concat(decoder.write(yaml.slice(i, i + size)));
+                return records.concat(decoder.end());
+            };
+        },
+
+        'should decode each document once complete': function(t) {
+            var decoder = qyaml.createDecoder();
+            t.deepEqual(decoder.write('a: 1\n---\nb: '), [{ value: { a: 1 }, document: 1, line: 1 }]);
+            t.deepEqual(decoder.write('2\n'), []);
+            t.deepEqual(decoder.end('...\n'), [{ value: { b: 2 }, document: 2, line: 2 }]);
+            var records = this.writeAll(qyaml.createDecoder(), this.yaml, 3);
+            t.deepEqual(records.map(function(r) { return r.value }), qyaml.decodeAll(this.yaml));
+            t.deepEqual(records.map(function(r) { return r.line }), [2, 5, 9]);
+            t.done();
+        },
+
+        'should decode CRLF text split between chunks': function(t) {
+            var yaml = '\uFEFFa: 1\r\n---\r\nb: |\r\n  x\r\n  y\r\n---\rc: 3\r';
+            var records = this.writeAll(qyaml.createDecoder(), yaml, 1);
+            t.deepEqual(records, this.writeAll(qyaml.createDecoder(), yaml.replace(/\uFEFF/, '').replace(/\r\n?/g, '\n'), 1));
+            t.deepEqual(records.map(function(r) { return r.value }), [{ a: 1 }, { b: 'x\ny\n' }, { c: 3 }]);
+            t.done();
+        },
+
+        'should decode top-level list elements with the elements option': function(t) {
+            var decoder = qyaml.createDecoder({ elements: true });
+            t.deepEqual(decoder.write('- 1\n-\n  a: 2\n'), [{ value: 1, document: 1, line: 1, index: 0 }]);
+            t.deepEqual(decoder.write('  b: 3\n- null\n'), [{ value: { a: 2, b: 3 }, document: 1, line: 2, index: 1 }]);
+            t.deepEqual(decoder.end(), [{ value: null, document: 1, line: 5, index: 2 }]);
+            var records = this.writeAll(qyaml.createDecoder({ elements: true }), this.yaml, 1);
+            t.deepEqual(records.map(function(r) { return r.value }), [{ a: 1 }, [2], [2], { b: 'text\n' }, 3]);
+            t.equal(records[1].value, records[2].value);
+            t.deepEqual(records.map(function(r) { return r.index }), [0, 1, 2, undefined, undefined]);
+            t.done();
+        },
+
+        'should not split elements inside multi-line quoted strings and flow collections': function(t) {
+            var yamls = ['- "a\n- b"\n- c\n', '- [a,\n- b]\n- c\n', "- 'it''s\n- x'\n- {a: [1,\n- 2]}\n- d\n", '- |\n  "text\n- e\n'];
+            for (var i = 0; i < yamls.length; i++) {
+                var decoder = qyaml.createDecoder({ elements: true });
+                var records = decoder.write(yamls[i]).concat(decoder.end());
+                t.deepEqual(records.map(function(r) { return r.value }), qyaml.decode(yamls[i]));
+            }
+            decoder = qyaml.createDecoder({ elements: true });
+            t.deepEqual(decoder.write('- "a\n- b"\n- c\n'), [{ value: 'a - b', document: 1, line: 1, index: 0 }]);
+            t.deepEqual(decoder.end(), [{ value: 'c', document: 1, line: 3, index: 1 }]);
+            t.done();
+        },
+
+        'should report errors with stream line numbers': function(t) {
+            var decoder = qyaml.createDecoder({ elements: true });
+            decoder.write('a: 1\n---\n- 1\n- 2\n');
+            try { decoder.write('- "x\n- 4\n'); decoder.end(); t.fail() }
+            catch (err) { t.contains(err, { code: 'BAD_QUOTE', line: 5, document: 2, source: '- "x' }) }
+            t.done();
+        },
+
+        'should decode streams': function(t) {
+            var stream = qyaml.createDecodeStream({ elements: true }), values = [];
+            stream.on('data', function(record) { values.push(record.value) });
+            stream.on('end', function() {
+                t.deepEqual(values, ['\u00e9', { b: 1 }, 2]);
+                t.done();
+            });
+            var bytes = Buffer.from('- \u00e9\n- {b: 1}\n- 2');
+            stream.write(bytes.slice(0, 3));
+            stream.write(bytes.slice(3));
+            stream.end();
+        },
+
+        'should emit stream errors': function(t) {
+            var stream = qyaml.createDecodeStream();
+            stream.on('error', function(err) {
+                t.equal(err.code, 'BAD_QUOTE');
+                t.done();
+            });
+            stream.resume();
+            stream.end('a: "x\n');
+        },
+    },
+
+    'encodeToStream': {
+        before: function() {
+            var stream = require('stream');
+            this.collect = function() {
+                var output = new stream.PassThrough();
+                output.text = '';
+                output.on('data', function(chunk) { output.text += chunk });
+                return output;
+            };
+            this.asyncIterable = function(items) {
+                var iterable = {};
+                iterable[Symbol.asyncIterator] = function() {
+                    var i = 0;
+                    return { next: function() { return Promise.resolve(i < items.length ? { value: items[i++], done: false } : { done: true }) } };
+                };
+                return iterable;
+            };
+            this.values = [{ a: 1, b: [1, { c: 'x\ny' }], d: {}, e: undefined, 'f\ng': new Date(0) }, [1, [2, [3]]], 'str', 4];
+        },
+
+        'should write the same text as encode': function(t) {
+            var self = this, coder = qyaml.defaults({ anchors: true, flow: true }), shared = { s: 1 };
+            var output = this.collect(), output2 = this.collect();
+            qyaml.encodeToStream(this.values[0], output, function(err) {
+                t.ifError(err);
+                t.equal(output.text, qyaml.encode(self.values[0]));
+                coder.encodeToStream({ p: shared, q: [shared] }, output2).then(function() {
+                    t.equal(output2.text, coder.encode({ p: shared, q: [shared] }));
+                    t.done();
+                });
+            });
+        },
+
+        'should encode async iterables as a list or as documents': function(t) {
+            var self = this, output = this.collect(), output2 = this.collect(), output3 = this.collect();
+            qyaml.encodeToStream(this.asyncIterable(this.values), output, function(err) {
+                t.equal(output.text, qyaml.encode(self.values));
+                qyaml.encodeToStream(self.asyncIterable(self.values.slice(0, 2)), output2, { documents: true }, function(err) {
+                    t.equal(output2.text, qyaml.encodeAll(self.values.slice(0, 2)));
+                    qyaml.encodeToStream(self.asyncIterable([]), output3, function(err) {
+                        t.equal(output3.text, '[]\n');
+                        t.done();
+                    });
+                });
+            });
+        },
+
+        'should wait for the stream to drain': function(t) {
+            var list = [], writes = 0, maxBuffered = 0;
+            for (var i = 0; i < 5000; i++) list.push({ i: i, s: 'text ' + i });
+            var output = new (require('stream').Writable)({ highWaterMark: 1000 });
+            output._write = function(chunk, encoding, cb) {
+                writes += 1;
+                maxBuffered = Math.max(maxBuffered, output._writableState.length);
+                setImmediate(cb);
+            };
+            qyaml.encodeToStream(list, output, function(err) {
+                t.ifError(err);
+                t.ok(writes > 10);
+                t.ok(maxBuffered < 5000);
+                t.done();
+            });
+        },
+
+        'should return errors': function(t) {
+            var circular = { a: 1 }, output = this.collect();
+            circular.self = circular;
+            output.resume();
+            qyaml.encodeToStream(circular, output, function(err) {
+                t.equal(err.code, 'CIRCULAR');
+                qyaml.encodeToStream(Promise.reject(new Error('x')), output).catch(function(err) {
+                    t.contains(err.message, 'cannot encode simple value');
+                    t.done();
+                });
+            });
+        },
+
+        'createEncodeStream should encode the values written': function(t) {
+            var values = this.values, stream = qyaml.createEncodeStream(), text = '';
+            stream.on('data', function(chunk) { text += chunk });
+            stream.on('end', function() {
+                t.equal(text, qyaml.encode(values));
+                var docs = qyaml.createEncodeStream({ documents: true });
+                docs.on('error', function(err) {
+                    t.equal(err.code, 'BAD_VALUE');
+                    t.done();
+                });
+                docs.resume();
+                docs.write({ a: 1 });
+                docs.write(2);
+            });
+            for (var i = 0; i < values.length; i++) stream.write(values[i]);
+            stream.end();
+        },
+    },
+
+    'paths and patches': {
+        setUp: function(done) {
+            this.yaml = 'services:\n  web:\n    image: nginx  # latest\n    ports: [80, 443]\n  db:\n    image: postgres\n    ports: [5432]\n';
+            done();
+        },
+
+        'should get, set and delete by path': function(t) {
+            t.equal(qyaml.get(this.yaml, 'services.web.ports[1]'), 443);
+            t.equal(qyaml.get(this.yaml, '/services/db/image'), 'postgres');
+            t.equal(qyaml.get({ 'a.b': { c: 1 } }, '["a.b"].c'), 1);
+            t.strictEqual(qyaml.get(this.yaml, 'services.cache.image'), undefined);
+            var value = { a: [1, 2] };
+            t.equal(qyaml.set(value, 'b.c', 3), value);
+            t.deepEqual(value, { a: [1, 2], b: { c: 3 } });
+            t.deepEqual(qyaml.delete(value, 'a[0]'), { a: [2], b: { c: 3 } });
+            t.deepEqual(qyaml.delete(value, 'x.y'), { a: [2], b: { c: 3 } });
+            var doc = qyaml.parseDocument(this.yaml);
+            t.equal(qyaml.set(doc, 'services.web.image', 'httpd'), doc);
+            t.equal(qyaml.delete(doc, 'services.db'), doc);
+            t.equal(doc.toString(), 'services:\n  web:\n    image: httpd  # latest\n    ports: [80, 443]\n');
+            t.throws(function() { qyaml.get('a: 1', 'a[b') }, /invalid path "a\[b"/);
+            t.done();
+        },
+
+        'should query with JSONPath': function(t) {
+            t.deepEqual(qyaml.query(this.yaml, '$.services.*.image'), ['nginx', 'postgres']);
+            t.deepEqual(qyaml.query(this.yaml, '$..ports[0]'), [80, 5432]);
+            t.deepEqual(qyaml.query(this.yaml, "$['services'].web.ports[-1]"), [443]);
+            t.deepEqual(qyaml.query(this.yaml, '$.services[?(@.ports[1] >= 443 || @.image == "postgres")].image', { paths: true }),
+                [{ path: '/services/web/image', value: 'nginx' }, { path: '/services/db/image', value: 'postgres' }]);
+            t.deepEqual(qyaml.query(this.yaml, '$.services[?(@.image =~ /^NG/i && !@.tag)].ports[*]'), [80, 443]);
+            t.deepEqual(qyaml.query([{ a: 1 }, { b: 2 }, { a: null }], '$[?(@.a)]'), [{ a: 1 }, { a: null }]);
+            t.deepEqual(qyaml.query([1, 2, 3, 4, 5], '$[1:4:2]'), [2, 4]);
+            t.deepEqual(qyaml.query([1, 2, 3, 4, 5], '$[::-2]'), [5, 3, 1]);
+            t.deepEqual(qyaml.query([1, 2, 3], '$[2,0]'), [3, 1]);
+            var cycle = { a: { n: 1 } };
+            cycle.a.self = cycle;
+            t.deepEqual(qyaml.query(cycle, '$..n'), [1]);
+            t.throws(function() { qyaml.query('a: 1', '$.a[?(@.x ==)]') }, /invalid JSONPath .* at offset 12/);
+            t.done();
+        },
+
+        'should apply a JSON Patch': function(t) {
+            var value = qyaml.decode(this.yaml);
+            var patched = qyaml.applyPatch(value, [
+                { op: 'add', path: '/services/web/ports/1', value: 8080 },
+                { op: 'add', path: '/services/web/ports/-', value: 8443 },
+                { op: 'replace', path: '/services/db/image', value: 'mysql' },
+                { op: 'copy', from: '/services/db', path: '/services/db2' },
+                { op: 'move', from: '/services/db2/ports', path: '/ports' },
+                { op: 'remove', path: '/services/db2' },
+                { op: 'test', path: '/ports', value: [5432] },
+            ]);
+            t.deepEqual(patched, { services: { web: { image: 'nginx', ports: [80, 8080, 443, 8443] }, db: { image: 'mysql', ports: [5432] } }, ports: [5432] });
+            t.deepEqual(value, qyaml.decode(this.yaml));
+            t.throws(function() { qyaml.applyPatch(value, [{ op: 'remove', path: '/services/cache' }]) }, /patch operation 0 \(remove "\/services\/cache"\): path not found/);
+            t.throws(function() { qyaml.applyPatch(value, [{ op: 'move', from: '/services', path: '/services/x' }]) }, /into itself/);
+            t.throws(function() { qyaml.applyPatch(value, [{ op: 'add', path: '/services/web/ports/5', value: 1 }]) }, /invalid list index/);
+            t.throws(function() { qyaml.applyPatch(value, [{ op: 'add', path: 'services', value: 1 }]) }, /invalid path/);
+            t.throws(function() { qyaml.applyPatch(value, [{ op: 'test', path: '/services/web/image', value: 'httpd' }]) }, /test failed/);
+            t.equal(qyaml.encode(qyaml.applyPatch('a: 1\n', [{ op: 'add', path: '/b', value: [2] }])), 'a: 1\nb:\n  - 2\n');
+            t.done();
+        },
+
+        'should patch a document in place or not at all': function(t) {
+            var doc = qyaml.parseDocument(this.yaml);
+            t.equal(qyaml.applyPatch(doc, [{ op: 'add', path: '/services/web/ports/0', value: 8080 }, { op: 'replace', path: '/services/db/image', value: 'mysql' }]), doc);
+            var text = 'services:\n  web:\n    image: nginx  # latest\n    ports: [8080, 80, 443]\n  db:\n    image: mysql\n    ports: [5432]\n';
+            t.equal(doc.toString(), text);
+            t.throws(function() { qyaml.applyPatch(doc, [{ op: 'remove', path: '/services/db' }, { op: 'bogus', path: '/x' }]) }, /patch operation 1 \(bogus "\/x"\): unknown operation/);
+            t.equal(doc.toString(), text);
+            t.done();
+        },
+
+        'should apply a JSON merge patch': function(t) {
+            var value = { a: 1, b: { c: 2, d: 3 }, e: [1] };
+            t.deepEqual(qyaml.mergePatch(value, { a: null, b: { c: null, f: { g: 1 } }, e: [2] }), { b: { d: 3, f: { g: 1 } }, e: [2] });
+            t.deepEqual(value, { a: 1, b: { c: 2, d: 3 }, e: [1] });
+            t.deepEqual(qyaml.mergePatch(value, 'x'), 'x');
+            var doc = qyaml.parseDocument(this.yaml);
+            t.equal(qyaml.mergePatch(doc, { services: { web: { tag: 'v1', ports: null }, db: null } }), doc);
+            t.equal(doc.toString(), 'services:\n  web:\n    image: nginx  # latest\n    tag: v1\n');
+            t.done();
+        },
+    },
+
+    'diff': {
+        setUp: function(done) {
+            this.old = 'db:\n  host: localhost\n  port: 5432\nhosts: [a, b, c]\ndebug: true\n';
+            this.new = 'hosts:\n  - a\n  - x\ndb:\n    port: 5433\n    host: localhost\n    user: app\n';
+            done();
+        },
+
+        'should report changes by path with line numbers': function(t) {
+            t.deepEqual(qyaml.diff(this.old, this.new), [
+                { op: 'change', path: '/db/port', oldValue: 5432, oldLine: 3, newValue: 5433, newLine: 5 },
+                { op: 'add', path: '/db/user', newValue: 'app', newLine: 7 },
+                { op: 'change', path: '/hosts/1', oldValue: 'b', oldLine: 4, newValue: 'x', newLine: 3 },
+                { op: 'remove', path: '/hosts/2', oldValue: 'c', oldLine: 4 },
+                { op: 'remove', path: '/debug', oldValue: true, oldLine: 5 },
+            ]);
+            t.deepEqual(qyaml.diff(this.old, 'debug: true\nhosts: [a, b, c]\ndb: {port: 5432, host: localhost}\n'), []);
+            t.deepEqual(qyaml.diff(qyaml.parseDocument(this.old), { db: 1 }).map(function(change) { return [change.op, change.path, change.oldLine] }),
+                [['change', '/db', 1], ['remove', '/hosts', 4], ['remove', '/debug', 5]]);
+            t.deepEqual(qyaml.diff({ a: [1, { b: new Date(1) }] }, { a: [1, { b: new Date(1) }] }), []);
+            t.deepEqual(qyaml.diff({ a: new Date(1) }, { a: new Date(2) }).length, 1);
+            var a = { x: {} }, b = { x: {} };
+            a.x.self = a;
+            b.x.self = b.x;
+            t.deepEqual(qyaml.diff(a, a), []);
+            t.deepEqual(qyaml.diff(a, b), [{ op: 'change', path: '/x/self', oldValue: a, newValue: b.x }]);
+            t.done();
+        },
+
+        'should format a yaml-shaped diff': function(t) {
+            t.equal(qyaml.diff(this.old, this.new, { format: 'text' }), [
+                '  db:',
+                '-   port: 5432  # line 3',
+                '+   port: 5433  # line 5',
+                '+   user: app  # line 7',
+                '  hosts:',
+                '-   - b  # [1], line 4',
+                '+   - x  # [1], line 3',
+                '-   - c  # [2], line 4',
+                '- debug: true  # line 5',
+                '',
+            ].join('\n'));
+            t.equal(qyaml.diff({ list: [{ a: 1 }] }, { list: [{ a: 1, b: { c: 'x\ny' } }] }, { format: 'text' }),
+                '  list:\n    -  # [0]\n+     b:\n+       c: |-\n+         x\n+         y\n');
+            t.equal(qyaml.diff(1, [1], { format: 'text' }), '- 1\n+ - 1\n');
+            t.equal(qyaml.diff(this.old, this.old, { format: 'text' }), '');
+            t.throws(function() { qyaml.diff({}, {}, { format: 'html' }) }, /unknown diff format "html"/);
+            t.done();
+        },
+
+        'should output a JSON Patch': function(t) {
+            var patch = qyaml.diff(this.old, this.new, { format: 'patch' });
+            t.deepEqual(patch, [
+                { op: 'replace', path: '/db/port', value: 5433 },
+                { op: 'add', path: '/db/user', value: 'app' },
+                { op: 'replace', path: '/hosts/1', value: 'x' },
+                { op: 'remove', path: '/hosts/2' },
+                { op: 'remove', path: '/debug' },
+            ]);
+            t.deepEqual(qyaml.applyPatch(this.old, patch), qyaml.decode(this.new));
+            var a = { list: [1, 2, 3, 4] }, b = { list: [1] };
+            t.deepEqual(qyaml.applyPatch(a, qyaml.diff(a, b, { format: 'patch' })), b);
+            t.done();
+        },
+    },
+
+    'limits': {
+        'should limit the depth of nesting': function(t) {
+            var coder = qyaml.defaults({ maxDepth: 2 });
+            t.deepEqual(coder.decode('a:\n  b: 1\n'), { a: { b: 1 } });
+            t.deepEqual(coder.decode('--- [[1]]\n'), [[1]]);
+            try { coder.decode('a:\n  b:\n    c: 1\n'); t.fail() }
+            catch (err) { t.contains(err, { message: 'qyaml: line 3: depth limit of 2 exceeded', code: 'DEPTH_LIMIT', line: 3 }) }
+            t.throws(function() { coder.decode('a: {b: [1]}\n') }, /line 1: depth limit of 2/);
+            t.throws(function() { coder.encode({ a: { b: [1] } }) }, /depth limit of 2 exceeded/);
+            t.throws(function() { qyaml.decode(new Array(100000).join('[')) }, /depth limit of 1000 exceeded/);
+            t.done();
+        },
 
-            'allows a top-level list': function(t) {
-                var yaml = [
-                    '- 1',
-                    '- 2',
-                ].join('\n') + '\n';
+        'should limit the size of documents': function(t) {
+            var coder = qyaml.defaults({ maxDocumentSize: 10 });
+            t.deepEqual(coder.decodeAll('a: 12345\n---\nb: 12345\n'), [{ a: 12345 }, { b: 12345 }]);
+            try { coder.decode('a: 1\nb: 23\n'); t.fail() }
+            catch (err) { t.contains(err, { message: 'qyaml: line 2: document size limit of 10 exceeded', code: 'SIZE_LIMIT', line: 2 }) }
+            t.throws(function() { coder.decode('a: 1\nb: 23\n', { recover: true }) }, /SIZE|size limit/);
+            t.equal(coder.encode({ a: 123456 }), 'a: 123456\n');
+            t.throws(function() { coder.encode({ a: 1234567 }) }, /document size limit of 10 exceeded/);
+            var decoder = coder.createDecoder({ elements: true });
+            t.deepEqual(decoder.write('- 12345\n- 12345\n').concat(decoder.end()).map(function(r) { return r.value }), [12345, 12345]);
+            t.throws(function() { coder.createDecoder().write('a: 1\n---\nb: 12345678\n') }, /line 3: document size limit/);
+            t.throws(function() { coder.createDecoder().write('# ' + new Array(20).join('x')) }, /line 1: document size limit/);
+            t.done();
+        },
 
-                var obj = qyaml.decode(yaml);
-                t.deepStrictEqual(obj, [ 1, 2 ]);
-                t.done();
-            },
+        'should limit the properties of hashes': function(t) {
+            var coder = qyaml.defaults({ maxKeys: 2 });
+            t.deepEqual(coder.decode('a: 1\nb: {c: 1, d: 2}\n'), { a: 1, b: { c: 1, d: 2 } });
+            try { coder.decode('a: 1\nb: 2\nc: 3\n'); t.fail() }
+            catch (err) { t.contains(err, { message: 'qyaml: line 3: hash property limit of 2 exceeded', code: 'KEY_LIMIT', line: 3 }) }
+            t.throws(function() { coder.decode('a: {b: 1, c: 2, d: 3}\n') }, /hash property limit of 2/);
+            t.throws(function() { coder.decode('a: &a {b: 1, c: 2}\nd:\n  <<: *a\n  e: 3\n') }, /line 4: hash property limit of 2/);
+            t.throws(function() { coder.encode({ a: 1, b: 2, c: 3 }) }, /hash property limit of 2 exceeded/);
+            t.done();
+        },
 
-            'can decode NaN': function(t) {
-                t.ok(isNaN(qyaml.decode('- .nan')[0]));
-                t.ok(isNaN(qyaml.decode('- .Nan')[0]));
-                t.ok(isNaN(qyaml.decode('- .NAN')[0]));
-                t.done();
-            },
+        'should limit the length of strings and property names': function(t) {
+            var coder = qyaml.defaults({ maxStringLength: 3 });
+            t.deepEqual(coder.decode('abc: abc\nb: "abc"\nc: [abc, \'abc\']\nd: |-\n  abc\n'), { abc: 'abc', b: 'abc', c: ['abc', 'abc'], d: 'abc' });
+            var yamls = ['a: abcd\n', 'a: "abcd"\n', 'a: ab\n  cd\n', 'a: |\n  abc\n', 'abcd: 1\n', '? abcd\n: 1\n', 'a: [abcd]\n', 'a: {abcd: 1}\n'];
+            for (var i = 0; i < yamls.length; i++) {
+                try { coder.decode(yamls[i]); t.fail() }
+                catch (err) { t.equal(err.code, 'STRING_LIMIT'); t.ok(/string length limit of 3 exceeded/.test(err.message)) }
+            }
+            t.throws(function() { coder.encode({ a: 'abcd' }) }, /string length limit of 3 exceeded/);
+            t.throws(function() { coder.encode({ abcd: 1 }) }, /string length limit of 3 exceeded/);
+            t.done();
+        },
 
-            'can decode arbitrary strings': function(t) {
-                var obj = qyaml.decode('- abc\u1234def');
-                t.strictEqual(obj[0], 'abc\u1234def');
-                t.done();
-            },
+        'should decode untrusted yaml with the safe preset': function(t) {
+            var coder = qyaml.defaults({ env: { A: 'x' } }).defaults('safe');
+            t.deepEqual(coder.decode('a: ${A}\nb: [1, 2]\n'), { a: '${A}', b: [1, 2] });
+            t.throws(function() { coder.decode('a: 1\na: 2\n') }, /duplicate property name "a"/);
+            t.throws(function() { coder.decode(new Array(102).join('[')) }, /depth limit of 100 exceeded/);
+            t.throws(function() { coder.decode('a: !include x.yml\n') }, /unknown tag "!include"/);
+            t.throws(function() { coder.decode('a: ' + new Array(100002).join('x') + '\n') }, /string length limit of 100000/);
+            t.throws(function() { qyaml.defaults('unsafe') }, /unknown preset "unsafe"/);
+            t.done();
+        },
+    },
 
-            'should allow document markers': function(t) {
-                var yaml = [
-                    '---',
-                    '  a: 1',
-                    '  b: 2',
-                    '...',
-                ].join('\n');
-                t.deepEqual(qyaml.decode(yaml), { a: 1, b: 2 });
-                t.done();
-            },
+    'validate': {
+        before: function() {
+            this.schema = {
+                type: 'object',
+                required: ['name', 'db'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 2, maxLength: 10 },
+                    port: { type: 'integer', minimum: 1, maximum: 65535, default: 8080 },
+                    db: { $ref: '#/definitions/db' },
+                    tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, maxItems: 3 },
+                },
+                definitions: {
+                    db: { type: 'object', required: ['host'], properties: { host: { type: ['string', 'null'] }, mode: { enum: ['ro', 'rw'], default: 'rw' } } },
+                },
+            };
+        },
 
-            'should allow property names containing special chars': function(t) {
-                t.deepEqual(qyaml.decode('"a\\"b": 1'), { 'a"b': 1 });
-                t.done();
-            },
+        'should accept valid values': function(t) {
+            var result = qyaml.validate('name: app\nport: 80\ndb:\n  host: null\n  mode: ro\ntags: [a, b]\n', this.schema);
+            t.deepEqual(result, { valid: true, errors: [], value: { name: 'app', port: 80, db: { host: null, mode: 'ro' }, tags: ['a', 'b'] } });
+            t.equal(qyaml.validate({ name: 'app', db: { host: 'h' } }, this.schema).valid, true);
+            t.done();
+        },
 
-            'should disallow : in name': function(t) {
-                t.deepEqual(qyaml.decode(' a:b : 1'), { 'a:b': 1 });
-                t.done();
-            },
+        'should report violations with their path and yaml location': function(t) {
+            var result = qyaml.validate('name: x\nport: 70000\ndb:\n  mode: rx\ntags: [ok, BAD]\nextra: 1\n', this.schema);
+            t.equal(result.valid, false);
+            t.deepEqual(result.errors.map(function(e) { return [e.path, e.keyword, e.line, e.column] }), [
+                ['/name', 'minLength', 1, 7],
+                ['/port', 'maximum', 2, 7],
+                ['/db', 'required', 3, 1],
+                ['/db/mode', 'enum', 4, 9],
+                ['/tags/1', 'pattern', 5, 12],
+                ['/extra', 'additionalProperties', 6, 1],
+            ]);
+            t.contains(result.errors[1], { code: 'SCHEMA', message: 'qyaml: line 2: schema violation at "/port": must be <= 65535', snippet: 'port: 70000\n      ^' });
+            t.equal(result.errors[2].message, 'qyaml: line 3: schema violation at "/db": missing required property "host"');
+            t.done();
+        },
 
-            'should encode string value of special objects': function(t) {
-                var dt = new Date('2019-01-02T03:04:05.678Z');
-                dt.a = 1;
-                dt.b = 'two';
-                var obj = { a: dt };
-                t.equal(qyaml.encode(obj), 'a: 2019-01-02T03:04:05.678Z\n');
-                t.done();
-            },
+        'should report violations in objects without a line': function(t) {
+            var errors = qyaml.validate({ name: 7, db: { host: 'h' }, tags: ['a', 'b', 'c', 'd'] }, this.schema).errors;
+            t.deepEqual(errors.map(function(e) { return e.message }), [
+                'qyaml: schema violation at "/name": must be string',
+                'qyaml: schema violation at "/tags": must have at most 3 items',
+            ]);
+            t.equal(errors[0].line, 0);
+            t.done();
+        },
 
-            'should decode single dash into an object': function(t) {
-                t.deepEqual(qyaml.decode('a:\n  -\n'), { a: [ {} ] });
-                t.deepEqual(qyaml.decode('a:\n  -\n    aa: 1\n'), { a: [ { aa: 1 } ] });
-                t.done();
-            },
+        'should check the other keywords': function(t) {
+            function check(value, schema) { return qyaml.validate(value, schema).errors.map(function(e) { return e.keyword }) }
+            t.deepEqual(check({ a: 1 }, { type: 'array' }), ['type']);
+            t.deepEqual(check(1.5, { type: 'integer', exclusiveMinimum: 2, exclusiveMaximum: 1 }), ['type']);
+            t.deepEqual(check(1.5, { type: 'number', exclusiveMinimum: 2, exclusiveMaximum: 1 }), ['exclusiveMinimum', 'exclusiveMaximum']);
+            t.deepEqual(check(['\ud83d\ude00'], { items: { minLength: 1, maxLength: 1 } }), []);
+            t.deepEqual(check([1, 'x', 3], { items: [{ type: 'number' }, { type: 'number' }], minItems: 4 }), ['minItems', 'type']);
+            t.deepEqual(check({ a: { b: [1] } }, { const: { a: { b: [1] } } }), []);
+            t.deepEqual(check({ a: 1, b: 'x' }, { additionalProperties: { type: 'number' } }), ['type']);
+            t.deepEqual(check({ a: [{ a: [] }] }, { properties: { a: { type: 'array', items: { $ref: '#' } } } }), []);
+            t.deepEqual(check(1, false), ['false']);
+            t.throws(function(){ check(1, { $ref: '#/nope' }) }, /cannot resolve \$ref "#\/nope"/);
+            t.done();
         },
 
-        'errors': {
-            'missing property name': function(t) {
-                t.throws(function(){ qyaml.decode('123') }, /missing.* name/);
-                t.done();
-            },
+        'should apply defaults with the defaults option': function(t) {
+            var result = qyaml.validate('name: app\ndb:\n  host: h\n', this.schema, { defaults: true });
+            t.deepEqual(result.value, { name: 'app', db: { host: 'h', mode: 'rw' }, port: 8080 });
+            t.equal(result.valid, true);
+            t.deepEqual(qyaml.validate('name: app\ndb: {host: h}\n', this.schema).value, { name: 'app', db: { host: 'h' } });
+            t.done();
+        },
+    },
 
-            'invalid quoted strings': function(t) {
-                t.throws(function(){ qyaml.decode('a: "foo" bar\n') }, /invalid.* string/);
-                t.done();
-            },
+    'loadConfig': {
+        before: function() {
+            this.base = { name: 'default.yml', yaml: 'db:\n  host: localhost\n  port: 5432\n  opts: {a: 1}\nservers:\n  - {name: a, port: 1}\n  - {name: b, port: 2}\ndebug: true\n' };
+        },
 
-            'trailing lines': function(t) {
-                t.throws(function(){ qyaml.decode('  a: 1\nb:2\n') }, /trailing lines/);
-                t.done();
-            },
+        'should deep-merge the layers': function(t) {
+            var result = qyaml.loadConfig([this.base, { name: 'local.yml', yaml: 'db:\n  host: db1\n  opts: {b: 2}\nservers: [{name: c}]\n' }]);
+            t.deepEqual(result.value, { db: { host: 'db1', port: 5432, opts: { a: 1, b: 2 } }, servers: [{ name: 'c' }], debug: true });
+            t.deepEqual(qyaml.loadConfig([]).value, {});
+            t.deepEqual(qyaml.loadConfig([{ yaml: 'a: {x: 1}' }, { yaml: 'a: 2' }, { yaml: 'a: {y: 3}' }]).value, { a: { y: 3 } });
+            t.done();
+        },
 
-            'bad indentation': function(t) {
-                var yaml = [
-                    'a:',
-                    '    b: 1',
-                    '   c : 2',
-                ].join('\n');
-                t.throws(function(){ qyaml.decode(yaml) }, /change in indent/);
-                t.done();
-            },
+        'should merge lists by strategy': function(t) {
+            var local = { name: 'local.yml', yaml: 'servers:\n  - {name: b, port: 3}\n  - {name: c}\n  - x\n' };
+            t.deepEqual(qyaml.loadConfig([this.base, local], { arrays: 'concat' }).value.servers,
+                [{ name: 'a', port: 1 }, { name: 'b', port: 2 }, { name: 'b', port: 3 }, { name: 'c' }, 'x']);
+            t.deepEqual(qyaml.loadConfig([this.base, local], { arrays: 'merge-by-key' }).value.servers,
+                [{ name: 'a', port: 1 }, { name: 'b', port: 3 }, { name: 'c' }, 'x']);
+            local.yaml = 'servers:\n  - !reset {id: b}\n  - {id: a, port: 5}\n';
+            t.deepEqual(qyaml.loadConfig([{ yaml: 'servers: [{id: a, port: 1, tls: true}, {id: b, port: 2}]' }, local], { arrays: 'merge-by-key', arrayKey: 'id' }).value.servers,
+                [{ id: 'a', port: 5, tls: true }, { id: 'b' }]);
+            t.throws(function(){ qyaml.loadConfig([], { arrays: 'merge' }) }, /unknown arrays "merge"/);
+            t.done();
+        },
 
-            'array item in hash': function(t) {
-                var yaml = [
-                    'x:',
-                    '  a: 1',
-                    '  - 2',
-                    '  c: 3',
-                ].join('\n');
-                t.throws(function(){ qyaml.decode(yaml) }, /array element in hash/);
-                t.done();
-            },
+        'should delete inherited values with null and !reset': function(t) {
+            var local = { yaml: 'db:\n  port: null\n  opts: !reset\n    b: 2\nservers: !reset ~\ndebug: !reset ~\nextra: null\n' };
+            t.deepEqual(qyaml.loadConfig([this.base, local]).value, { db: { host: 'localhost', opts: { b: 2 } } });
+            t.deepEqual(qyaml.loadConfig([this.base, local], { keepNulls: true }).value.db, { host: 'localhost', port: null, opts: { b: 2 } });
+            t.done();
+        },
+
+        'should delete inherited values with an empty !reset followed by a sibling': function(t) {
+            var local = { yaml: 'db: !reset\nservers: !reset\n\n# no more servers\ndebug: false\n' };
+            t.deepEqual(qyaml.loadConfig([this.base, local]).value, { debug: false });
+            t.done();
+        },
+
+        'should note the file and line of each value': function(t) {
+            var result = qyaml.loadConfig([this.base, { name: 'local.yml', yaml: 'db:\n  host: db1\nservers: [{name: c}]\n' }], { arrays: 'concat' });
+            t.deepEqual(result.sources['/db/host'], { file: 'local.yml', line: 2 });
+            t.deepEqual(result.sources['/db/port'], { file: 'default.yml', line: 3 });
+            t.deepEqual(result.sources['/db'], { file: 'local.yml', line: 1 });
+            t.deepEqual(result.sources['/servers/1/port'], { file: 'default.yml', line: 7 });
+            t.deepEqual(result.sources['/servers/2'], { file: 'local.yml', line: 3 });
+            result = qyaml.loadConfig([this.base, { name: 'local.yml', yaml: 'db: none\n' }]);
+            t.deepEqual(Object.keys(result.sources).filter(function(p) { return /^\/db/.test(p) }), ['/db']);
+            t.done();
+        },
+
+        'should load files': function(t) {
+            var fs = require('fs'), file = require('os').tmpdir() + '/test-qyaml-' + process.pid + '.yml';
+            fs.writeFileSync(file, 'a: 1\nb: *x\n');
+            try {
+                t.throws(function(){ qyaml.loadConfig([file + '.missing']) }, /ENOENT/);
+                t.deepEqual(qyaml.loadConfig([{ yaml: 'a: 0' }, file + '.missing'], { ignoreMissing: true }).value, { a: 0 });
+                try { qyaml.loadConfig([file]); t.fail() }
+                catch (err) { t.contains(err, { file: file, line: 2, code: 'BAD_ALIAS', message: 'qyaml: ' + file + ', line 2: undefined alias "*x"' }) }
+                fs.writeFileSync(file, 'a: 1\n');
+                t.deepEqual(qyaml.loadConfig([file]), { value: { a: 1 }, sources: { '': { file: file, line: 1 }, '/a': { file: file, line: 1 } } });
+            }
+            finally {
+                fs.unlinkSync(file);
+            }
+            t.done();
+        },
+    },
+
+    'cli': {
+        before: function() {
+            var child_process = require('child_process');
+            this.run = function(args, input) {
+                var result = child_process.spawnSync(process.execPath, [__dirname + '/bin/qyaml'].concat(args), { input: input || '', encoding: 'utf8' });
+                return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+            };
+            this.tmpfile = require('os').tmpdir() + '/test-qyaml-' + process.pid + '.yml';
+        },
+
+        after: function() {
+            try { require('fs').unlinkSync(this.tmpfile) } catch (err) { }
+        },
+
+        'should convert to and from json': function(t) {
+            t.deepEqual(this.run(['to-json', '--compact'], 'a: 1\n---\n- b\n'), { status: 0, stdout: '{"a":1}\n["b"]\n', stderr: '' });
+            t.equal(this.run(['to-json'], 'a: [1]\n').stdout, '{\n  "a": [\n    1\n  ]\n}\n');
+            t.equal(this.run(['from-json', '--indent', '4'], '{"a": {"b": [1]}}').stdout, 'a:\n    b:\n        - 1\n');
+            t.done();
+        },
+
+        'should validate and report errors by file and line': function(t) {
+            require('fs').writeFileSync(this.tmpfile, 'a: 1\nb c\nd: *x\n');
+            t.deepEqual(this.run(['validate'], 'a: 1\n'), { status: 0, stdout: '', stderr: '' });
+            var result = this.run(['validate', this.tmpfile]);
+            t.equal(result.status, 1);
+            t.equal(result.stderr, this.tmpfile + ':2:1: missing property name\nb c\n^\n' + this.tmpfile + ':3:4: undefined alias "*x"\nd: *x\n   ^\n');
+            t.done();
+        },
+
+        'should get values by path': function(t) {
+            var yaml = 'a:\n  b: [1, 2]\n  c: text\n';
+            t.equal(this.run(['get', 'a.b'], yaml).stdout, '- 1\n- 2\n');
+            t.equal(this.run(['get', '/a/c'], yaml).stdout, 'text\n');
+            t.equal(this.run(['get', 'a.b.1'], yaml).stdout, '2\n');
+            t.deepEqual(this.run(['get', 'a.x'], yaml), { status: 1, stdout: '', stderr: 'qyaml: <stdin>: path "a.x" not found\n' });
+            t.done();
+        },
+
+        'should format to stdout or in place': function(t) {
+            var yaml = 'a:\n     - x\n     - {b: 1}\n---\nc: \'d\'\n';
+            t.equal(this.run(['fmt', '--indent', '4'], yaml).stdout, 'a:\n    - x\n    - {b: 1}\n---\nc: d\n');
+            require('fs').writeFileSync(this.tmpfile, yaml);
+            t.deepEqual(this.run(['fmt', '-w', this.tmpfile]), { status: 0, stdout: '', stderr: '' });
+            t.equal(require('fs').readFileSync(this.tmpfile, 'utf8'), 'a:\n  - x\n  - {b: 1}\n---\nc: d\n');
+            t.deepEqual(this.run(['fmt'], '--- hello\n---\n-   [1,2]\n'), { status: 0, stdout: '--- hello\n---\n- [1, 2]\n', stderr: '' });
+            t.done();
+        },
+
+        'should not format files with comments': function(t) {
+            var yaml = '# settings\na:   1  # one\nb: "x #y"\n';
+            require('fs').writeFileSync(this.tmpfile, yaml);
+            var result = this.run(['fmt', '-w', this.tmpfile]);
+            t.deepEqual(result, { status: 1, stdout: '', stderr: 'qyaml: ' + this.tmpfile + ': line 1: comment "# settings" would be lost by format\n' });
+            t.equal(require('fs').readFileSync(this.tmpfile, 'utf8'), yaml);
+            t.equal(this.run(['fmt'], 'a:   1  # one\n').stderr, 'qyaml: <stdin>: line 1: comment "# one" would be lost by format\n');
+            t.deepEqual(this.run(['fmt'], 'a: "x #y"\nb: |\n  # text\n'), { status: 0, stdout: 'a: "x #y"\nb: |\n  # text\n', stderr: '' });
+            t.equal(this.run(['fmt'], 'a: 1\nb c\n').stderr, 'qyaml: <stdin>: line 2: missing property name\n');
+            t.done();
+        },
+
+        'should diff files': function(t) {
+            require('fs').writeFileSync(this.tmpfile, 'a: 1\nb: [1, 2]\n');
+            t.deepEqual(this.run(['diff', this.tmpfile, '-'], 'b:\n  - 1\n  - 2\na: 1\n'), { status: 0, stdout: '', stderr: '' });
+            t.deepEqual(this.run(['diff', this.tmpfile, '-'], 'b: [1, 3]\n'), { status: 1, stdout: '- a: 1  # line 1\n  b:\n-   - 2  # [1], line 2\n+   - 3  # [1], line 1\n', stderr: '' });
+            t.equal(this.run(['diff', '--patch', this.tmpfile, '-'], 'a: 2\nb: [1, 2]\n').stdout, '[\n  {\n    "op": "replace",\n    "path": "/a",\n    "value": 2\n  }\n]\n');
+            t.deepEqual(this.run(['diff', this.tmpfile, '-'], 'a:\nb c\n'), { status: 2, stdout: '', stderr: 'qyaml: <stdin>: line 2: missing property name\n' });
+            t.equal(this.run(['diff', this.tmpfile]).status, 2);
+            t.done();
+        },
+
+        'should reject bad usage': function(t) {
+            t.equal(this.run(['nope']).status, 2);
+            t.equal(this.run(['to-json', '--bogus']).stderr, 'qyaml: unknown option "--bogus"\n');
+            t.equal(this.run(['fmt', '-w']).status, 2);
+            t.contains(this.run(['--help']).stdout, 'usage: qyaml <command>');
+            t.done();
         },
     },
 
@@ -245,8 +1873,8 @@ module.exports = {
                 };
 
                 var yaml = qyaml.encode(obj);
-                t.contains(yaml, /^regex: \/\^foo\/im$/m);
-                t.contains(yaml, /^date: 2017-07-14T02:40:00.000Z$/m);
+                t.contains(yaml, /^regex: !regexp \/\^foo\/im$/m);
+                t.contains(yaml, /^date: !!timestamp 2017-07-14T02:40:00.000Z$/m);
                 t.contains(yaml, /^num: 3$/m);
                 t.contains(yaml, /^str: "\\u0000"$/m);
                 t.contains(yaml, /^bool: false$/m);
@@ -264,6 +1892,209 @@ module.exports = {
                 t.done();
             },
 
+            'should encode empty lists and hashes inline': function(t) {
+                t.equal(qyaml.encode({ a: [], b: {}, c: [[], {}] }), 'a: []\nb: {}\nc:\n  - []\n  - {}\n');
+                t.equal(qyaml.encode([]), '[]\n');
+                t.equal(qyaml.encode({}), '{}\n');
+                t.deepEqual(qyaml.decode(qyaml.encode({ a: [], b: { c: {} } })), { a: [], b: { c: {} } });
+                t.done();
+            },
+
+            'should encode flow collections if configured': function(t) {
+                var coder = qyaml.defaults({ flow: true });
+                var obj = { a: [1, 'two', null], b: { c: 'x, y', d: '[z]' }, e: [{ f: 1 }, [2, [3]]] };
+                t.equal(coder.encode(obj), [
+                    'a: [1, two, null]',
+                    'b: {c: "x, y", d: "[z]"}',
+                    'e:',
+                    '  - {f: 1}',
+                    '  -',
+                    '    - 2',
+                    '    - [3]',
+                ].join('\n') + '\n');
+                t.deepEqual(coder.decode(coder.encode(obj)), obj);
+                t.done();
+            },
+
+            'should not encode flow collections longer than flowWidth': function(t) {
+                var coder = qyaml.defaults({ flow: true, flowWidth: 12 });
+                t.equal(coder.encode({ a: [1, 2, 3], bb: [1, 2, 3] }), 'a: [1, 2, 3]\nbb:\n  - 1\n  - 2\n  - 3\n');
+                t.done();
+            },
+
+            'should encode multi-line strings as literal blocks': function(t) {
+                t.equal(qyaml.encode({ a: 'one\ntwo\n', b: 1 }), 'a: |\n  one\n  two\nb: 1\n');
+                t.equal(qyaml.encode(['one\n\ntwo']), '- |-\n  one\n\n  two\n');
+                t.equal(qyaml.encode({ a: { b: 'x\n\n' } }), 'a:\n  b: |+\n    x\n\n');
+                t.equal(qyaml.encode({ a: '  x\ny' }), 'a: |2-\n    x\n  y\n');
+                t.equal(qyaml.encode({ a: 'x\r\ny' }), 'a: "x\\r\\ny"\n');
+                t.done();
+            },
+
+            'should encode multi-line and long names as explicit keys': function(t) {
+                t.equal(qyaml.encode({ 'a\nb': 1, c: { 'd\n': [1] } }), '? |-\n  a\n  b\n: 1\nc:\n  ? |\n    d\n  :\n    - 1\n');
+                var long = new Array(1026).join('x');
+                t.equal(qyaml.encode({ 'a: b': 1 }), '"a: b": 1\n');
+                var obj = {};
+                obj[long] = 2;
+                t.equal(qyaml.encode(obj), '? ' + long + '\n: 2\n');
+                obj = { 'a\nb': { 'c\n': 1 }, 'd: e': 2, f: 3 };
+                obj[long] = 4;
+                t.deepEqual(qyaml.decode(qyaml.encode(obj)), obj);
+                t.done();
+            },
+
+            'should round-trip multi-line strings': function(t) {
+                var strings = ['a\nb', 'a\nb\n', 'a\n\n', '  x\ny', '\n\n  x\n', 'x\n  \n', 'a\n\n\nb\n\n\n', 'a\n\tb', '#a\n- b: c'];
+                for (var i = 0; i < strings.length; i++) {
+                    var obj = { k: strings[i], l: [strings[i]], m: { n: strings[i] } };
+                    t.deepStrictEqual(qyaml.decode(qyaml.encode(obj)), obj);
+                }
+                t.done();
+            },
+
+            'should use single quotes if configured': function(t) {
+                var coder = qyaml.defaults({ quoteStyle: 'single' });
+                t.equal(coder.encode({ a: "it's: x", b: '\x01', c: ' ' }), "a: 'it''s: x'\nb: \"\\u0001\"\nc: ' '\n");
+                t.equal(coder.defaults({ flow: true }).encode({ a: ['x, y'] }), "a: ['x, y']\n");
+                t.deepEqual(coder.decode(coder.encode({ "it's": "'quoted'" })), { "it's": "'quoted'" });
+                t.done();
+            },
+
+            'should quote only as needed with the minimal quote style': function(t) {
+                var coder = qyaml.defaults({ quoteStyle: 'minimal' });
+                var obj = { 'a:b': ['\u00e9', 'say "hi"', "it's", "it's \"x\"", 'x: y', '- a', 'true', '', 'a #b', '\t', '---'] };
+                t.equal(coder.encode(obj), 'a:b:\n  - \u00e9\n  - say "hi"\n  - it\'s\n  - it\'s "x"\n  - \'x: y\'\n  - \'- a\'\n  - \'true\'\n  - \'\'\n  - \'a #b\'\n  - "\\t"\n  - \'---\'\n');
+                t.deepEqual(coder.decode(coder.encode(obj)), obj);
+                t.equal(qyaml.defaults({ quoteStyle: 'always' }).encode({ a: 'x', b: 1, 'c d': [null, 'y'] }), 'a: "x"\nb: 1\nc d:\n  - null\n  - "y"\n');
+                t.throws(function(){ qyaml.defaults({ quoteStyle: 'none' }) }, /unknown quoteStyle "none"/);
+                t.done();
+            },
+
+            'should sort keys if configured': function(t) {
+                var obj = { b: 1, a: { d: [{ z: 1, y: 2 }], c: undefined, 10: 3, 9: 4 } };
+                t.equal(qyaml.defaults({ sortKeys: true }).encode(obj), 'a:\n  10: 3\n  9: 4\n  d:\n    -\n      y: 2\n      z: 1\nb: 1\n');
+                t.equal(qyaml.defaults({ sortKeys: true, flow: true }).encode({ a: { c: 1, b: 2 } }), 'a: {b: 2, c: 1}\n');
+                var reverse = function(a, b) { return a < b ? 1 : a > b ? -1 : 0 };
+                t.equal(qyaml.defaults({ sortKeys: reverse }).encode({ a: 1, c: { x: 1, y: 2 }, b: 2 }), 'c:\n  y: 2\n  x: 1\nb: 2\na: 1\n');
+                t.done();
+            },
+
+            'should fold strings longer than lineWidth': function(t) {
+                var coder = qyaml.defaults({ lineWidth: 20 });
+                var text = 'the quick brown fox jumps over the  lazy dog, again and again';
+                t.equal(coder.encode({ a: { b: text }, c: ['short one', 'x'] }),
+                    'a:\n  b: >-\n    the quick brown\n    fox jumps over\n    the  lazy dog,\n    again and again\nc:\n  - short one\n  - x\n');
+                t.equal(coder.encode({ a: 'averyveryverylongword but folded' }), 'a: >-\n  averyveryverylongword\n  but folded\n');
+                t.equal(coder.encode({ a: ' not folded with edge spaces ' }), 'a: " not folded with edge spaces "\n');
+                t.equal(coder.encode({ a: 'abcdefghijklmnopqrstuvwxyz' }), 'a: abcdefghijklmnopqrstuvwxyz\n');
+                var strings = [text, 'a: b #c  d  e " f \' g - h ? i', 'x y\tz and more words here to fold', 'la\u00e9 '.repeat(10) + 'x'];
+                for (var i = 0; i < strings.length; i++) t.deepStrictEqual(coder.decode(coder.encode({ k: strings[i], l: [strings[i]] })), { k: strings[i], l: [strings[i]] });
+                t.done();
+            },
+
+            'should encode nested collections in flow style from flowLevel': function(t) {
+                var obj = { a: { b: [1, { c: [2, 3], d: {} }], e: 'x' }, f: [] };
+                t.equal(qyaml.defaults({ flowLevel: 1 }).encode(obj), 'a: {b: [1, {c: [2, 3], d: {}}], e: x}\nf: []\n');
+                t.equal(qyaml.defaults({ flowLevel: 2 }).encode(obj), 'a:\n  b: [1, {c: [2, 3], d: {}}]\n  e: x\nf: []\n');
+                t.equal(qyaml.defaults({ flowLevel: 1 }).encode([[1, [2]], { a: 'b, c' }]), '- [1, [2]]\n- {a: "b, c"}\n');
+                t.deepEqual(qyaml.decode(qyaml.defaults({ flowLevel: 1 }).encode(obj)), obj);
+                var shared = { s: 1 };
+                t.equal(qyaml.defaults({ flowLevel: 1, anchors: true }).encode({ a: { b: shared, c: shared } }), 'a:\n  b: &id001 {s: 1}\n  c: *id001\n');
+                t.done();
+            },
+
+            'should write document markers if configured': function(t) {
+                var coder = qyaml.defaults({ documentMarkers: true });
+                t.equal(coder.encode({ a: 1 }), '---\na: 1\n...\n');
+                t.equal(coder.encodeAll([{ a: 1 }, [], new Set(['x'])]), '---\na: 1\n...\n---\n[]\n...\n--- !!set\nx: null\n...\n');
+                t.deepEqual(coder.decodeAll(coder.encodeAll([{ a: 1 }, [2]])), [{ a: 1 }, [2]]);
+                t.done();
+            },
+
+            'should write CRLF line breaks with the eol option': function(t) {
+                var coder = qyaml.defaults({ eol: '\r\n' });
+                t.equal(coder.encode({ a: [1, 'x\ny'], b: {} }), 'a:\r\n  - 1\r\n  - |-\r\n    x\r\n    y\r\nb: {}\r\n');
+                t.equal(coder.encodeAll([{ a: 1 }, [2]]), 'a: 1\r\n---\r\n- 2\r\n');
+                t.equal(qyaml.defaults({ eol: '\r\n', documentMarkers: true }).encode([1]), '---\r\n- 1\r\n...\r\n');
+                t.deepEqual(coder.decode(coder.encode({ a: 'x\r\ny' })), { a: 'x\r\ny' });
+                t.equal(qyaml.defaults({ eol: '\r\n', canonical: true }).encode({ a: 1 }), '---\na: 1\n...\n');
+                t.throws(function() { qyaml.defaults({ eol: '\r' }) }, /eol must be/);
+                t.done();
+            },
+
+            'should encode byte-stable canonical output': function(t) {
+                var coder = qyaml.defaults({ canonical: true, indent: 4, flow: true, quoteStyle: 'single', lineWidth: 10, flowLevel: 1 });
+                var a = { b: [1, 'x y'], a: { 'd e': "'q'", c: null } }, b = { a: { c: null, 'd e': "'q'" }, b: [1, 'x y'] };
+                t.equal(coder.encode(a), '---\na:\n  c: null\n  d e: "\'q\'"\nb:\n  - 1\n  - x y\n...\n');
+                t.equal(coder.encode(b), coder.encode(a));
+                t.equal(coder.encode(a), qyaml.defaults({ canonical: true }).encode(b));
+                t.done();
+            },
+
+            'should encode anchors and aliases if configured': function(t) {
+                var coder = qyaml.defaults({ anchors: true });
+                var shared = [1, 2], obj = { a: shared, b: { c: shared }, d: shared };
+                t.equal(coder.encode(obj), 'a: &id001\n  - 1\n  - 2\nb:\n  c: *id001\nd: *id001\n');
+                t.equal(coder.defaults({ flow: true }).encode(obj), 'a: &id001 [1, 2]\nb:\n  c: *id001\nd: *id001\n');
+                t.equal(qyaml.encode(obj), 'a:\n  - 1\n  - 2\nb:\n  c:\n    - 1\n    - 2\nd:\n  - 1\n  - 2\n');
+                var decoded = coder.decode(coder.encode(obj));
+                t.deepStrictEqual(decoded, obj);
+                t.strictEqual(decoded.b.c, decoded.a);
+                t.done();
+            },
+
+            'should round-trip circular structures with anchors': function(t) {
+                var coder = qyaml.defaults({ anchors: true });
+                var obj = { list: [] };
+                obj.self = obj;
+                obj.list.push(obj.list, obj);
+                var yaml = coder.encode(obj);
+                t.equal(yaml, '--- &id001\nlist: &id002\n  - *id002\n  - *id001\nself: *id001\n');
+                var decoded = coder.decode(yaml);
+                t.strictEqual(decoded.self, decoded);
+                t.strictEqual(decoded.list[0], decoded.list);
+                t.strictEqual(decoded.list[1], decoded);
+                t.deepStrictEqual(coder.decodeAll(coder.encodeAll([obj, obj])).length, 2);
+                t.done();
+            },
+
+            'should quote strings that would be read as other values': function(t) {
+                t.equal(qyaml.encode({ a: ['0x10', 'true', '12', 'undefined', 'Infinity', 'yes', 'a #b', '- x', '-x'] }),
+                    'a:\n  - "0x10"\n  - "true"\n  - "12"\n  - "undefined"\n  - "Infinity"\n  - yes\n  - "a #b"\n  - "- x"\n  - -x\n');
+                t.equal(qyaml.defaults({ schema: 'yaml-1.1' }).encode(['yes', 'Off', '0b11', '1:30', '1e3', '~']), '- "yes"\n- "Off"\n- "0b11"\n- "1:30"\n- 1e3\n- "~"\n');
+                t.equal(qyaml.defaults({ schema: 'core' }).encode(['yes', '0o7', '~', '1e3', 'Infinity']), '- yes\n- "0o7"\n- "~"\n- "1e3"\n- Infinity\n');
+                t.equal(qyaml.defaults({ schema: 'failsafe' }).encode(['true', '1', '']), '- true\n- 1\n- ""\n');
+                t.equal(qyaml.encode({ 1: 'one', 'true': 2 }), '1: one\ntrue: 2\n');
+                t.done();
+            },
+
+            'should encode values for the schema': function(t) {
+                t.equal(qyaml.defaults({ schema: 'json' }).encode({ a: 'x', b: [1, NaN, true, null, undefined] }), '"a": "x"\n"b":\n  - 1\n  - null\n  - true\n  - null\n  - null\n');
+                t.equal(qyaml.defaults({ schema: 'yaml-1.1' }).encode([1e21, 1.5]), '- 1.0e+21\n- 1.5\n');
+                t.equal(qyaml.defaults({ schema: 'core' }).encode([undefined]), '- null\n');
+                t.done();
+            },
+
+            'should encode BigInts as integers with the bigint option': function(t) {
+                if (typeof BigInt !== 'function') return t.done();
+                var coder = qyaml.defaults({ bigint: true });
+                t.equal(coder.encode({ a: BigInt('12345678901234567890'), b: [BigInt(-1)], c: '12345678901234567890' }), 'a: 12345678901234567890\nb:\n  - -1\nc: "12345678901234567890"\n');
+                t.equal(qyaml.encode({ a: BigInt(1) }), 'a: !bigint 1\n');
+                t.deepStrictEqual(coder.decode(coder.encode({ a: BigInt('12345678901234567890') })), { a: BigInt('12345678901234567890') });
+                t.done();
+            },
+
+            'should round-trip strings with each schema': function(t) {
+                var schemas = ['qyaml', 'core', 'yaml-1.1', 'json', 'failsafe'];
+                var strings = ['yes', 'no', 'on', '0x10', '010', '0o10', '0b10', '1_000', '1:20', '1e3', '1.5', '.inf', '~', 'null', 'True', 'x'];
+                for (var i = 0; i < schemas.length; i++) {
+                    var coder = qyaml.defaults({ schema: schemas[i] });
+                    t.deepStrictEqual(coder.decode(coder.encode({ s: strings })), { s: strings });
+                }
+                t.done();
+            },
+
             'should encode arrays': function(t) {
                 t.equal(qyaml.encode([ 1, 2, 'three' ]), '- 1\n- 2\n- three\n');
                 t.done();
@@ -290,7 +2121,13 @@ module.exports = {
                 var coder = new qyaml.Qyaml();
                 var obj = {};
                 obj.self = obj;
-                t.throws(function(){ coder.encode(obj) }, /depth limit/);
+                t.throws(function(){ coder.encode(obj) }, /circular reference at "\/self" to ""/);
+                obj = { a: [1, { b: {} }] };
+                obj.a[1].b.c = obj.a;
+                try { coder.encode(obj); t.fail() }
+                catch (err) { t.contains(err, { message: 'qyaml: circular reference at "/a/1/b/c" to "/a"', code: 'CIRCULAR', path: '/a/1/b/c' }) }
+                var shared = { x: 1 };
+                t.equal(coder.encode({ a: shared, b: [shared] }), 'a:\n  x: 1\nb:\n  -\n    x: 1\n');
                 t.done();
             },
 
@@ -315,6 +2152,107 @@ module.exports = {
             },
         },
 
+        'tags': {
+            'should encode built-in types with their tags': function(t) {
+                var obj = { d: new Date(0), b: Buffer.from('hello'), s: new Set(['x', 'y']), m: new Map([['p', 1], ['q', [2]]]), r: /a b/g };
+                var yaml = qyaml.encode(obj);
+                t.equal(yaml,
+                    'd: !!timestamp 1970-01-01T00:00:00.000Z\nb: !!binary aGVsbG8=\ns: !!set\n  x: null\n  y: null\n' +
+                    'm: !!omap\n  -\n    p: 1\n  -\n    q:\n      - 2\nr: !regexp /a b/g\n');
+                var copy = qyaml.decode(yaml);
+                t.equal(copy.d.getTime(), 0);
+                t.equal(String(copy.b), 'hello');
+                t.deepEqual(Array.from(copy.s), ['x', 'y']);
+                t.deepEqual(Array.from(copy.m), [['p', 1], ['q', [2]]]);
+                t.equal(String(copy.r), '/a b/g');
+                t.done();
+            },
+
+            'should encode tagged values in lists and flow collections': function(t) {
+                t.equal(qyaml.encode([new Date(0), new Set([1])]), '- !!timestamp 1970-01-01T00:00:00.000Z\n- !!set\n  1: null\n');
+                t.equal(qyaml.defaults({ flow: true }).encode({ a: [1, /x/] }), 'a: [1, !regexp /x/]\n');
+                t.done();
+            },
+
+            'should tag a top-level typed collection on the document start line': function(t) {
+                var yaml = qyaml.encode(new Set(['a']));
+                t.equal(yaml, '--- !!set\na: null\n');
+                t.ok(qyaml.decode(yaml) instanceof Set);
+                t.done();
+            },
+
+            'should encode custom types': function(t) {
+                function Point(x, y) { this.x = x; this.y = y }
+                var coder = qyaml.defaults({ types: [{
+                    tag: '!point',
+                    test: function(v) { return v instanceof Point },
+                    encode: function(p) { return [p.x, p.y] },
+                    decode: function(data) { return new Point(data[0], data[1]) },
+                }] });
+                var yaml = coder.encode({ p: new Point(1, 2) });
+                t.equal(yaml, 'p: !point\n  - 1\n  - 2\n');
+                t.ok(coder.decode(yaml).p instanceof Point);
+                t.deepEqual(coder.decode(yaml).p, new Point(1, 2));
+                t.done();
+            },
+
+            'should quote tagged strings only if needed': function(t) {
+                var coder = qyaml.defaults({ types: [{ tag: '!str', test: function(v) { return v instanceof String }, encode: String, decode: String }] });
+                t.equal(coder.encode({ a: new String('true'), b: new String('a: b'), c: new String('') }), 'a: !str true\nb: !str "a: b"\nc: !str ""\n');
+                t.done();
+            },
+        },
+
+        'replacer': {
+            'should call toJSON methods': function(t) {
+                var obj = { a: { toJSON: function(key) { return 'key ' + key } }, b: [{ toJSON: function() { return { x: 1 } } }] };
+                t.equal(qyaml.encode(obj), 'a: key a\nb:\n  -\n    x: 1\n');
+                t.equal(qyaml.encode({ toJSON: function(key) { return { top: key } } }), 'top: ""\n');
+                t.done();
+            },
+
+            'should encode registered types by type, not toJSON': function(t) {
+                t.equal(qyaml.encode({ d: new Date(0) }), 'd: !!timestamp 1970-01-01T00:00:00.000Z\n');
+                t.done();
+            },
+
+            'should call the replacer function like JSON.stringify': function(t) {
+                var calls = [];
+                var obj = { a: 1, b: [2, 'x'], c: { d: 3 } };
+                var yaml = qyaml.encode(obj, function(key, value) {
+                    calls.push([key, this === obj || Array.isArray(this) || key === '' ]);
+                    return typeof value === 'number' ? value * 10 : value;
+                });
+                t.equal(yaml, 'a: 10\nb:\n  - 20\n  - x\nc:\n  d: 30\n');
+                t.deepEqual(calls.map(function(c) { return c[0] }), ['', 'a', 'b', '0', '1', 'c', 'd']);
+                t.deepEqual(obj, { a: 1, b: [2, 'x'], c: { d: 3 } });
+                t.done();
+            },
+
+            'should omit properties replaced with undefined': function(t) {
+                t.equal(qyaml.encode({ a: 1, b: 2 }, function(k, v) { return k === 'a' ? undefined : v }), 'b: 2\n');
+                t.done();
+            },
+
+            'should encode only the properties listed in a replacer array': function(t) {
+                var obj = { a: 1, b: { a: 2, d: 3 }, 1: 'one', c: [{ a: 4, d: 5 }] };
+                t.equal(qyaml.encode(obj, ['c', 'a', 1, 'b', 'a']), '1: one\nc:\n  -\n    a: 4\na: 1\nb:\n  a: 2\n');
+                t.done();
+            },
+
+            'should preserve shared references': function(t) {
+                var shared = { x: 1 };
+                var yaml = qyaml.defaults({ anchors: true }).encode({ a: shared, b: shared, c: new Date(0) }, function(k, v) { return v });
+                t.equal(yaml, 'a: &id001\n  x: 1\nb: *id001\nc: !!timestamp 1970-01-01T00:00:00.000Z\n');
+                t.done();
+            },
+
+            'should apply the replacer to each document with encodeAll': function(t) {
+                t.equal(qyaml.encodeAll([{ a: 1 }, { a: 2 }], function(k, v) { return k === 'a' ? -v : v }), 'a: -1\n---\na: -2\n');
+                t.done();
+            },
+        },
+
         'errors': {
             'non-objects': function(t) {
                 t.throws(function(){ qyaml.encode(true) }, /cannot encode/);
@@ -336,6 +2274,7 @@ module.exports = {
                 t.equal(qyaml._instance.makeError(123, "test %d %d", 1).message, 'qyaml: line 123: test 1 %d');
                 t.equal(qyaml._instance.makeError(123, "test %d %d", 1, 2).message, 'qyaml: line 123: test 1 2');
                 t.equal(qyaml._instance.makeError(123, "test %d %d %d", 1, 2, 3).message, 'qyaml: line 123: test 1 2 3');
+                t.equal(qyaml._instance.makeError(0, "test %d", 1).message, 'qyaml: test 1');
                 t.done();
             },
         },